@@ -0,0 +1,133 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Button types that are budgeted, with the noun used in messages
+const BUDGETED = { terminal: 'command', edit: 'edit' };
+const SCOPES = ['session', 'hour', 'conversation'];
+const SCOPE_LABELS = { session: 'this session', hour: 'in the last hour', conversation: 'in one conversation' };
+
+/**
+ * Hard caps on auto-executed terminal commands and auto-applied edits,
+ * per session, per rolling hour and per conversation. A limit of 0 means no cap.
+ *
+ *   budget.configure({ terminal: { session: 50, hour: 20, conversation: 0 }, edit: { ... } });
+ *   budget.record('terminal', 'page-1|Fix tests')
+ *   -> null, or { actionType, noun, scope, scopeLabel, count, limit } once a cap is reached
+ *
+ * Counts only move forward from clicks the pages report, so the session and
+ * conversation counts reset when Auto Accept is turned on again (startSession);
+ * the hourly window does not.
+ */
+class ActionBudget {
+    constructor() {
+        this.limits = {};
+        this.history = {}; // actionType -> timestamps within the last hour
+        for (const actionType of Object.keys(BUDGETED)) {
+            this.limits[actionType] = { session: 0, hour: 0, conversation: 0 };
+            this.history[actionType] = [];
+        }
+        this.startSession();
+    }
+
+    /**
+     * @param {Object} limits - { terminal: { session, hour, conversation }, edit: { ... } }
+     */
+    configure(limits = {}) {
+        for (const actionType of Object.keys(BUDGETED)) {
+            const given = limits[actionType] || {};
+            for (const scope of SCOPES) {
+                const value = Number(given[scope]);
+                this.limits[actionType][scope] = Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+            }
+        }
+    }
+
+    startSession() {
+        this.session = {};
+        this.conversations = new Map(); // conversation -> { terminal, edit }
+        for (const actionType of Object.keys(BUDGETED)) this.session[actionType] = 0;
+    }
+
+    /**
+     * Count one click.
+     * @param {string} actionType - button type from the page; only terminal and edit are budgeted
+     * @param {string} conversation - page id and tab name
+     * @returns {Object|null} the cap this click used up, if any
+     */
+    record(actionType, conversation, now = Date.now()) {
+        if (!BUDGETED[actionType]) return null;
+
+        this.session[actionType]++;
+        this.recentHistory(actionType, now).push(now);
+        const perConversation = this.conversations.get(conversation) || {};
+        perConversation[actionType] = (perConversation[actionType] || 0) + 1;
+        this.conversations.set(conversation, perConversation);
+
+        return this.reachedCap(actionType, conversation, now);
+    }
+
+    /**
+     * A cap that is already used up, e.g. after the limits were lowered.
+     * @param {string[]} scopes - only 'hour' before a new session, since that one does not reset
+     */
+    exhausted(scopes = ['session', 'hour'], now = Date.now()) {
+        for (const actionType of Object.keys(BUDGETED)) {
+            const cap = this.reachedCap(actionType, null, now, scopes);
+            if (cap) return cap;
+        }
+        return null;
+    }
+
+    counts(actionType, conversation, now = Date.now()) {
+        return {
+            session: this.session[actionType],
+            hour: this.recentHistory(actionType, now).length,
+            conversation: conversation ? ((this.conversations.get(conversation) || {})[actionType] || 0) : 0
+        };
+    }
+
+    /** When the oldest click of the hourly window drops out of it. */
+    hourFreesAt(actionType, now = Date.now()) {
+        const history = this.recentHistory(actionType, now);
+        return history.length > 0 ? history[0] + HOUR_MS : now;
+    }
+
+    /** One line per configured cap, for the status bar tooltip: "Commands this session: 12/50". */
+    describe(now = Date.now()) {
+        const lines = [];
+        for (const [actionType, noun] of Object.entries(BUDGETED)) {
+            const counts = this.counts(actionType, null, now);
+            for (const scope of ['session', 'hour']) {
+                const limit = this.limits[actionType][scope];
+                if (limit > 0) lines.push(`${capitalize(noun)}s ${SCOPE_LABELS[scope]}: ${counts[scope]}/${limit}`);
+            }
+            const perConversation = this.limits[actionType].conversation;
+            if (perConversation > 0) {
+                const busiest = Math.max(0, ...[...this.conversations.values()].map(c => c[actionType] || 0));
+                lines.push(`${capitalize(noun)}s ${SCOPE_LABELS.conversation}: ${busiest}/${perConversation} (busiest)`);
+            }
+        }
+        return lines;
+    }
+
+    reachedCap(actionType, conversation, now, scopes = SCOPES) {
+        const counts = this.counts(actionType, conversation, now);
+        for (const scope of scopes) {
+            const limit = this.limits[actionType][scope];
+            if (limit > 0 && counts[scope] >= limit) {
+                return { actionType, noun: BUDGETED[actionType], scope, scopeLabel: SCOPE_LABELS[scope], count: counts[scope], limit };
+            }
+        }
+        return null;
+    }
+
+    recentHistory(actionType, now) {
+        this.history[actionType] = this.history[actionType].filter(ts => now - ts < HOUR_MS);
+        return this.history[actionType];
+    }
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = { ActionBudget };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_FILE_NAME = 'auto-accept-audit.jsonl';
+
+/**
+ * Append-only JSONL record of every button Auto Accept acted on.
+ *
+ * One line per decision:
+ *   { timestamp, ide, target, tab, label, command, file, diff, decision, pattern?, reason? }
+ * where decision is 'clicked' | 'blocked' | 'skipped'. MCP tool calls add mcpServer, mcpTool and mcpArgs;
+ * browser prompts add url.
+ *
+ * Writes are queued so lines never interleave, and a failing disk never
+ * takes the click path down with it: errors are reported once through `onError`.
+ */
+class AuditLog {
+    /**
+     * @param {Function} logger
+     * @param {Object} hooks
+     * @param {Function} hooks.onError - (err) => void, called when a write fails
+     */
+    constructor(logger = console.log, hooks = {}) {
+        this.logger = logger;
+        this.onError = hooks.onError || (() => { });
+        this.filePath = null;
+        this.enabled = true;
+        this.queue = Promise.resolve();
+        this.lastError = null;
+    }
+
+    log(msg) {
+        this.logger(`[Audit] ${msg}`);
+    }
+
+    /**
+     * @param {Object} settings
+     * @param {boolean} settings.enabled
+     * @param {string} settings.path - explicit file path; empty means `<defaultDir>/auto-accept-audit.jsonl`
+     * @param {string} settings.defaultDir - workspace storage (or global storage outside a workspace)
+     */
+    configure(settings = {}) {
+        this.enabled = settings.enabled !== false;
+        const explicit = (settings.path || '').trim();
+        const filePath = explicit
+            ? path.resolve(explicit)
+            : (settings.defaultDir ? path.join(settings.defaultDir, AUDIT_FILE_NAME) : null);
+
+        if (filePath !== this.filePath) {
+            this.filePath = filePath;
+            this.lastError = null;
+            if (this.enabled && filePath) this.log(`Writing to ${filePath}`);
+        }
+    }
+
+    /** Queue one entry. Never throws. */
+    append(entry) {
+        if (!this.enabled || !this.filePath) return;
+
+        const filePath = this.filePath;
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+        this.queue = this.queue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.appendFile(filePath, line, 'utf8');
+                this.lastError = null;
+            })
+            .catch((e) => {
+                // Only surface the first failure of a streak, not one per click
+                if (this.lastError) return;
+                this.lastError = e;
+                this.log(`Write to ${filePath} failed: ${e.message}`);
+                this.onError(e);
+            });
+    }
+
+    /** Resolves once every queued entry has been written (or has failed). */
+    flush() {
+        return this.queue;
+    }
+}
+
+module.exports = { AuditLog, AUDIT_FILE_NAME };
@@ -0,0 +1,573 @@
+const path = require('path');
+
+const MAX_DEPTH = 8; // nested `bash -c "eval '...'"` and friends
+
+// Wrappers whose real work is the command they run. `withValue` options consume the next word.
+const WRAPPERS = {
+    sudo: { withValue: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-U', '--user', '--group', '--host', '--prompt', '--chdir', '--role', '--type', '--other-user', '--close-from'] },
+    doas: { withValue: ['-u', '-C'] },
+    env: { withValue: ['-u', '--unset', '-C', '--chdir'], assignments: true },
+    nice: { withValue: ['-n', '--adjustment'] },
+    ionice: { withValue: ['-c', '-n', '-p', '--class', '--classdata'] },
+    nohup: {},
+    time: {},
+    command: {},
+    builtin: {},
+    exec: { withValue: ['-a'] },
+    stdbuf: { withValue: ['-i', '-o', '-e'] },
+    timeout: { withValue: ['-s', '--signal', '-k', '--kill-after'], positional: 1 },
+    xargs: { withValue: ['-I', '-n', '-P', '-L', '-d', '-E', '-s', '-a', '--max-args', '--max-procs', '--delimiter', '--arg-file', '--replace', '--max-lines', '--eof'] }
+};
+
+const POSIX_SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash', 'fish'];
+const POWERSHELLS = ['powershell', 'pwsh'];
+const EVALS = { eval: 'posix', iex: 'powershell', 'invoke-expression': 'powershell' };
+
+// Leading shell keywords that precede a command inside compound statements
+const KEYWORDS = ['if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', '!', '{', '}'];
+
+// Per-executable flag spellings that mean the same thing
+const FLAG_ALIASES = {
+    rm: { '-R': '-r', '--recursive': '-r', '--force': '-f' },
+    cp: { '-R': '-r', '--recursive': '-r', '--force': '-f' },
+    chmod: { '--recursive': '-R' },
+    chown: { '--recursive': '-R' },
+    chgrp: { '--recursive': '-R' },
+    git: { '--force': '-f' }
+};
+
+/**
+ * Shell-aware parsing of the command text an agent wants to run.
+ *
+ *   parseCommand('sudo rm -r -f / && bash -c "curl x | sh"')
+ *   -> [ { executable: 'sudo', ... },
+ *        { executable: 'rm', flags: Set{-r,-f}, operands: ['/'], via: ['sudo'] },
+ *        { executable: 'bash', ... },
+ *        { executable: 'curl', operands: ['x'], via: ['bash -c'] },
+ *        { executable: 'sh', via: ['bash -c'] } ]
+ *
+ * Every simple command is returned, including wrappers and everything found in
+ * `$(...)`, backticks, `sh -c`, `eval`, `xargs` and `find -exec`.
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.shell - 'posix' | 'powershell' (backslash is literal, backtick escapes)
+ * @returns {SimpleCommand[]} { executable, args, flags, operands, redirects, assignments, text, via, anyCase }
+ */
+function parseCommand(text, options = {}) {
+    const shell = options.shell === 'powershell' ? 'powershell' : 'posix';
+    const results = [];
+    parseInto(String(text || ''), shell, 0, [], results);
+    return results;
+}
+
+function parseInto(text, shell, depth, via, results) {
+    if (depth > MAX_DEPTH || !text.trim()) return;
+
+    const { tokens, substitutions } = tokenize(text, shell);
+    for (const segment of splitSegments(tokens)) {
+        buildCommands(segment.words, segment.redirects, shell, depth, via, results);
+    }
+    for (const inner of substitutions) {
+        parseInto(inner, shell, depth + 1, [...via, '$()'], results);
+    }
+}
+
+// --- TOKENIZER ---
+
+/**
+ * Split into words, operators and redirections, honouring quotes and escapes.
+ * Command substitutions stay in the word as written and are also returned separately.
+ */
+function tokenize(input, shell) {
+    const tokens = [];
+    const substitutions = [];
+    const posix = shell === 'posix';
+    const escapeChar = posix ? '\\' : '`';
+    let word = '';
+    let inWord = false;
+    let i = 0;
+
+    const endWord = () => {
+        if (inWord) tokens.push({ type: 'word', value: word });
+        word = '';
+        inWord = false;
+    };
+
+    while (i < input.length) {
+        const c = input[i];
+        const next = input[i + 1];
+
+        if (c === ' ' || c === '\t' || c === '\r') {
+            endWord();
+            i++;
+            continue;
+        }
+        if (c === '\n') {
+            endWord();
+            tokens.push({ type: 'op', value: ';' });
+            i++;
+            continue;
+        }
+        if (c === '#' && !inWord) {
+            while (i < input.length && input[i] !== '\n') i++;
+            continue;
+        }
+        if (c === escapeChar) {
+            if (next === '\n') { i += 2; continue; } // line continuation
+            if (next !== undefined) word += next;
+            inWord = true;
+            i += 2;
+            continue;
+        }
+        if (c === "'") {
+            inWord = true;
+            i++;
+            while (i < input.length) {
+                if (input[i] === "'") {
+                    if (!posix && input[i + 1] === "'") { word += "'"; i += 2; continue; }
+                    break;
+                }
+                word += input[i++];
+            }
+            i++;
+            continue;
+        }
+        if (c === '"') {
+            inWord = true;
+            i++;
+            while (i < input.length && input[i] !== '"') {
+                const q = input[i];
+                if (q === escapeChar && i + 1 < input.length) {
+                    const escaped = input[i + 1];
+                    if (!posix || '\\"$`\n'.includes(escaped)) {
+                        if (escaped !== '\n') word += escaped;
+                        i += 2;
+                        continue;
+                    }
+                }
+                if (q === '$' && input[i + 1] === '(') {
+                    const { inner, end } = readBalanced(input, i + 1);
+                    substitutions.push(inner);
+                    word += input.slice(i, end);
+                    i = end;
+                    continue;
+                }
+                if (posix && q === '`') {
+                    const end = indexOfUnescaped(input, '`', i + 1);
+                    substitutions.push(input.slice(i + 1, end));
+                    word += input.slice(i, end + 1);
+                    i = end + 1;
+                    continue;
+                }
+                word += q;
+                i++;
+            }
+            i++;
+            continue;
+        }
+        if (c === '$' && next === '(') {
+            const { inner, end } = readBalanced(input, i + 1);
+            substitutions.push(inner);
+            word += input.slice(i, end);
+            inWord = true;
+            i = end;
+            continue;
+        }
+        if (posix && c === '`') {
+            const end = indexOfUnescaped(input, '`', i + 1);
+            substitutions.push(input.slice(i + 1, end));
+            word += input.slice(i, end + 1);
+            inWord = true;
+            i = end + 1;
+            continue;
+        }
+        if (posix && (c === '<' || c === '>') && next === '(') {
+            const { inner, end } = readBalanced(input, i + 1); // process substitution
+            substitutions.push(inner);
+            word += input.slice(i, end);
+            inWord = true;
+            i = end;
+            continue;
+        }
+
+        const redirect = readRedirect(input, i);
+        if (redirect) {
+            if (/^\d+$/.test(word)) { word = ''; inWord = false; } // fd number belongs to the redirect
+            endWord();
+            tokens.push({ type: 'redirect', value: redirect.op });
+            i = redirect.end;
+            continue;
+        }
+
+        const op = readOperator(input, i);
+        if (op) {
+            endWord();
+            tokens.push({ type: 'op', value: op });
+            i += op.length;
+            continue;
+        }
+
+        word += c;
+        inWord = true;
+        i++;
+    }
+    endWord();
+    return { tokens, substitutions };
+}
+
+function readOperator(input, i) {
+    for (const op of ['&&', '||', '|&', ';;', ';', '|', '&', '(', ')']) {
+        if (input.startsWith(op, i)) return op;
+    }
+    return null;
+}
+
+function readRedirect(input, i) {
+    for (const op of ['&>>', '&>', '>>', '>&', '>|', '<<<', '<<', '<&', '<>', '>', '<']) {
+        if (input.startsWith(op, i)) {
+            let end = i + op.length;
+            // `2>&1` style duplication: consume the target fd too
+            if (op.endsWith('&')) {
+                const m = /^\d+|^-/.exec(input.slice(end));
+                if (m) end += m[0].length;
+            }
+            return { op, end };
+        }
+    }
+    return null;
+}
+
+/** `input[open]` is '('; returns the text up to the matching ')' and the index after it. */
+function readBalanced(input, open) {
+    let depth = 0;
+    let i = open;
+    while (i < input.length) {
+        const c = input[i];
+        if (c === '\\') { i += 2; continue; }
+        if (c === "'" || c === '"') {
+            const close = indexOfUnescaped(input, c, i + 1);
+            i = close + 1;
+            continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')') {
+            depth--;
+            if (depth === 0) return { inner: input.slice(open + 1, i), end: i + 1 };
+        }
+        i++;
+    }
+    return { inner: input.slice(open + 1), end: input.length }; // unterminated: take the rest
+}
+
+function indexOfUnescaped(input, char, from) {
+    for (let i = from; i < input.length; i++) {
+        if (input[i] === '\\') { i++; continue; }
+        if (input[i] === char) return i;
+    }
+    return input.length;
+}
+
+function splitSegments(tokens) {
+    const segments = [];
+    let current = { words: [], redirects: [] };
+    let pendingRedirect = null;
+
+    for (const token of tokens) {
+        if (token.type === 'op') {
+            segments.push(current);
+            current = { words: [], redirects: [] };
+            pendingRedirect = null;
+        } else if (token.type === 'redirect') {
+            pendingRedirect = { op: token.value, target: '' };
+            current.redirects.push(pendingRedirect);
+            if (token.value.includes('&') && !token.value.startsWith('&')) pendingRedirect = null; // 2>&1 has its target already
+        } else if (pendingRedirect) {
+            pendingRedirect.target = token.value;
+            pendingRedirect = null;
+        } else {
+            current.words.push(token.value);
+        }
+    }
+    segments.push(current);
+    return segments.filter(s => s.words.length > 0 || s.redirects.length > 0);
+}
+
+// --- SIMPLE COMMANDS ---
+
+function buildCommands(words, redirects, shell, depth, via, results) {
+    words = [...words];
+    while (words.length > 0 && KEYWORDS.includes(words[0])) words.shift();
+    // `FOO=bar cmd` changes what cmd does, so the assignments are kept with it
+    const assignments = [];
+    while (words.length > 0 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0])) assignments.push(words.shift());
+
+    if (words.length === 0) {
+        if (redirects.length > 0 || assignments.length > 0) results.push(makeCommand('', [], redirects, shell, via, assignments));
+        return;
+    }
+
+    const command = makeCommand(words[0], words.slice(1), redirects, shell, via, assignments);
+    results.push(command);
+    if (depth >= MAX_DEPTH) return;
+
+    const name = command.executable;
+    const args = words.slice(1);
+
+    if (WRAPPERS[name]) {
+        const inner = unwrapArgs(args, WRAPPERS[name]);
+        if (inner.length > 0) buildCommands(inner, [], shell, depth + 1, [...via, name], results);
+    }
+
+    if (POSIX_SHELLS.includes(name)) {
+        const script = shellScriptArg(args);
+        if (script !== null) parseInto(script, 'posix', depth + 1, [...via, `${name} -c`], results);
+    }
+
+    if (POWERSHELLS.includes(name)) {
+        const script = powershellScriptArg(args);
+        if (script !== null) parseInto(script, 'powershell', depth + 1, [...via, `${name} -Command`], results);
+    }
+
+    if (name === 'cmd') {
+        const idx = args.findIndex(a => /^\/[ck]$/i.test(a));
+        if (idx >= 0) parseInto(args.slice(idx + 1).join(' '), 'powershell', depth + 1, [...via, 'cmd /c'], results);
+    }
+
+    if (EVALS[name]) {
+        parseInto(args.join(' '), EVALS[name], depth + 1, [...via, name], results);
+    }
+
+    if (name === 'find') {
+        for (let i = 0; i < args.length; i++) {
+            if (!['-exec', '-execdir', '-ok', '-okdir'].includes(args[i])) continue;
+            const end = args.findIndex((a, j) => j > i && (a === ';' || a === '+'));
+            const inner = args.slice(i + 1, end === -1 ? args.length : end);
+            if (inner.length > 0) buildCommands(inner, [], shell, depth + 1, [...via, `find ${args[i]}`], results);
+        }
+    }
+}
+
+function unwrapArgs(args, spec) {
+    const withValue = spec.withValue || [];
+    let i = 0;
+    while (i < args.length) {
+        const arg = args[i];
+        if (arg === '--') { i++; break; }
+        if (spec.assignments && /^[A-Za-z_][A-Za-z0-9_]*=/.test(arg)) { i++; continue; }
+        if (!arg.startsWith('-') || arg === '-') break;
+        i += withValue.includes(arg) ? 2 : 1;
+    }
+    return args.slice(i + (spec.positional || 0));
+}
+
+/** `bash -c 'script'`, `sh -ec 'script'`, `bash -lc 'script'` -> script */
+function shellScriptArg(args) {
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('-')) return null;
+        if (/^-[A-Za-z]*c[A-Za-z]*$/.test(arg)) return args[i + 1] !== undefined ? args[i + 1] : null;
+    }
+    return null;
+}
+
+const POWERSHELL_OPTIONS_WITH_VALUE = ['-executionpolicy', '-windowstyle', '-version', '-inputformat', '-outputformat', '-configurationname', '-workingdirectory', '-psconsolefile'];
+
+/** PowerShell accepts any unambiguous prefix of a parameter name (`-c`, `-com`, `-Command`). */
+function isPowershellParam(arg, name, minLength = 2) {
+    return arg.length >= minLength && name.startsWith(arg);
+}
+
+/** `powershell -NoProfile -Command ...`, `-EncodedCommand <base64>`, or bare script text */
+function powershellScriptArg(args) {
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i].toLowerCase().replace(/^\//, '-');
+        if (arg === '-ec' || isPowershellParam(arg, '-encodedcommand')) {
+            return Buffer.from(args[i + 1] || '', 'base64').toString('utf16le');
+        }
+        if (isPowershellParam(arg, '-command')) return args.slice(i + 1).join(' ');
+        if (isPowershellParam(arg, '-file')) return null;
+        if (!arg.startsWith('-')) return args.slice(i).join(' ');
+        if (POWERSHELL_OPTIONS_WITH_VALUE.some(name => isPowershellParam(arg, name, 3))) i++;
+    }
+    return null;
+}
+
+function makeCommand(rawExecutable, args, redirects, shell, via, assignments = []) {
+    const executable = normalizeExecutable(rawExecutable);
+    const { flags, operands } = normalizeArgs(executable, args, shell);
+    return {
+        executable,
+        args,
+        flags,
+        operands,
+        redirects: redirects.map(r => ({ op: r.op, target: normalizeOperand(r.target) })),
+        assignments,
+        text: [executable, ...args].filter(Boolean).join(' '),
+        via,
+        // Windows shells take flags in any case; so does `RM -RF`, which only resolves on a case-insensitive file system
+        anyCase: shell === 'powershell' || /[A-Z]/.test(path.basename(rawExecutable.replace(/\\/g, '/')))
+    };
+}
+
+function normalizeExecutable(word) {
+    if (!word) return '';
+    return path.basename(word.replace(/\\/g, '/')).replace(/\.(exe|cmd|bat|com)$/i, '').toLowerCase();
+}
+
+/**
+ * `-rf` -> `-r`, `-f`; `--force=yes` -> `--force`; per-executable aliases (`rm -R` == `rm -r`).
+ * PowerShell-style parameters (`-Recurse`) are kept whole and lower-cased.
+ */
+function normalizeArgs(executable, args, shell) {
+    const aliases = FLAG_ALIASES[executable] || {};
+    const powershellStyle = shell === 'powershell' && executable.includes('-'); // Verb-Noun cmdlet
+    const flags = new Set();
+    const operands = [];
+    let endOfOptions = false;
+
+    const addFlag = (flag) => flags.add(aliases[flag] || flag);
+
+    for (const arg of args) {
+        if (endOfOptions || arg === '-' || !arg.startsWith('-')) {
+            operands.push(normalizeOperand(arg));
+        } else if (arg === '--') {
+            endOfOptions = true;
+        } else if (powershellStyle) {
+            flags.add(arg.split(':')[0].toLowerCase());
+        } else if (arg.startsWith('--')) {
+            addFlag(arg.split('=')[0]);
+        } else if (/^-[A-Za-z]{2,}$/.test(arg)) {
+            for (const ch of arg.slice(1)) addFlag(`-${ch}`);
+        } else {
+            addFlag(arg);
+        }
+    }
+    return { flags, operands };
+}
+
+/** Collapse `//`, drop trailing slashes (but keep `/`), treat `$HOME` as `~`. */
+function normalizeOperand(value) {
+    let v = String(value || '');
+    v = v.replace(/^\$\{?HOME\}?(?=\/|$)/, '~');
+    if (/^[/\\]/.test(v) || v.startsWith('~')) {
+        v = v.replace(/[/\\]{2,}/g, '/');
+        if (v.length > 1) v = v.replace(/[/\\]+$/, '') || '/';
+    }
+    return v;
+}
+
+// --- PATTERN MATCHING ---
+
+/**
+ * Compile a command pattern as written in the banned list or a policy rule.
+ *
+ *   'rm -rf /'   structural: executable rm, flags -r and -f, operand / (any order, any spacing,
+ *                also under sudo, sh -c, $(...), xargs, ...)
+ *   'dd if='     operands ending in '=' match as a prefix (dd if=/dev/zero)
+ *   'mkfs.'      executables ending in '.' match as a prefix (mkfs.ext4)
+ *   '> /dev/sda' redirection target
+ *   '/regex/i'   regex over the whole text and over every simple command
+ * Anything that is not a single simple command (e.g. a fork bomb) is matched
+ * as a substring with all whitespace removed.
+ *
+ * @returns {(parsed: { text: string, commands: SimpleCommand[] }) => boolean}
+ */
+function compileCommandPattern(raw) {
+    const pattern = String(raw).trim();
+    const regex = parseRegex(pattern);
+    if (regex) {
+        return parsed => regex.test(parsed.text) || parsed.commands.some(c => regex.test(c.text));
+    }
+
+    const segments = splitSegments(tokenize(pattern, 'posix').tokens);
+    const structural = segments.length === 1 && !/[$`]/.test(pattern)
+        ? parseCommand(pattern, { shell: 'posix' })
+        : [];
+    if (structural.length !== 1) {
+        const needle = pattern.replace(/\s+/g, '').toLowerCase();
+        return parsed => parsed.text.replace(/\s+/g, '').toLowerCase().includes(needle);
+    }
+
+    const expected = structural[0];
+    return parsed => parsed.commands.some(command => matchesStructure(expected, command));
+}
+
+/**
+ * Compile an allowlist entry: executable plus leading subcommand words.
+ *
+ *   'npm test'     npm whose first operands are `test` (npm test -- --watch)
+ *   'git status'   git status, git status -s
+ *   'pytest'       pytest with any arguments
+ *   'cargo build --release'  listed flags must be present too
+ *
+ * @returns {(command: SimpleCommand) => boolean}
+ */
+function compileCommandPrefix(raw) {
+    const [expected] = parseCommand(String(raw).trim(), { shell: 'posix' });
+    if (!expected || !expected.executable) return () => false;
+    return command => command.executable === expected.executable
+        && expected.operands.every((operand, i) => (command.operands[i] || '').toLowerCase() === operand.toLowerCase())
+        && [...expected.flags].every(flag => command.flags.has(flag));
+}
+
+function matchesStructure(expected, command) {
+    if (expected.executable) {
+        const exe = expected.executable;
+        const ok = exe.endsWith('.') ? command.executable.startsWith(exe) : command.executable === exe;
+        if (!ok) return false;
+    }
+    const flags = command.anyCase ? new Set([...command.flags].map(f => f.toLowerCase())) : command.flags;
+    for (const flag of expected.flags) {
+        if (!flags.has(command.anyCase ? flag.toLowerCase() : flag)) return false;
+    }
+    for (const operand of expected.operands) {
+        if (!command.operands.some(o => operandMatches(operand, o))) return false;
+    }
+    for (const redirect of expected.redirects) {
+        const writes = redirect.op.includes('>');
+        const ok = command.redirects.some(r => r.op.includes('>') === writes
+            && r.target.toLowerCase().startsWith(redirect.target.toLowerCase()));
+        if (!ok) return false;
+    }
+    return true;
+}
+
+function operandMatches(expected, actual) {
+    const e = expected.toLowerCase();
+    const a = actual.toLowerCase();
+    return e.endsWith('=') ? a.startsWith(e) : matchTarget(a) === matchTarget(e);
+}
+
+/**
+ * What a path operand ends up covering: `/*`, `/.` and `/tmp/..` are `/`, `~/*` is `~`,
+ * and `*`, `./*` and `./` are the current directory `.`.
+ */
+function matchTarget(operand) {
+    let v = operand;
+    if (v.startsWith('/') || v.startsWith('~/')) {
+        const home = v.startsWith('~');
+        v = path.posix.normalize(home ? v.substring(1) : v);
+        v = home ? `~${v}` : v;
+    }
+    for (let previous = null; previous !== v;) {
+        previous = v;
+        v = v.replace(/\/\*$/, '/').replace(/\/\.$/, '/').replace(/^\.\/+/, '');
+        if (v.length > 1) v = v.replace(/\/+$/, '');
+    }
+    if (v === '' || v === '*' || v === '.') return '.';
+    if (v === '~/' || v === '~') return '~';
+    return v;
+}
+
+function parseRegex(pattern) {
+    if (!pattern.startsWith('/') || pattern.lastIndexOf('/') <= 0) return null;
+    const lastSlash = pattern.lastIndexOf('/');
+    try {
+        return new RegExp(pattern.substring(1, lastSlash), pattern.substring(lastSlash + 1) || 'i');
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = { parseCommand, tokenize, compileCommandPattern, compileCommandPrefix, parseRegex };
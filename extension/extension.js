@@ -1,6 +1,13 @@
 const vscode = require('vscode');
 const path = require('path');
 const payment = require('./payment-handler');
+const { StatsStore } = require('./stats-store');
+const { PolicyEngine, BUTTON_TYPES, DEFAULT_BANNED_COMMANDS, DEFAULT_ALLOWED_COMMANDS } = require('./policy-engine');
+const { redactSecrets } = require('./secret-detector');
+const { readGitRemotes } = require('./network-guard');
+const { ActionBudget } = require('./action-budget');
+const { SettingsStore } = require('./settings-store');
+const { readWorkspacePolicy, applyWorkspacePolicy, describeLoosening } = require('./workspace-policy');
 
 // Lazy load SettingsPanel to avoid blocking activation
 let SettingsPanel = null;
@@ -17,8 +24,9 @@ function getSettingsPanel() {
 
 // states
 
-const GLOBAL_STATE_KEY = 'auto-accept-enabled-global';
-const BANNED_COMMANDS_KEY = 'auto-accept-banned-commands';
+// Preferences (enabled, poll frequency, command lists, background mode) are autoAccept.* settings, see settings-store
+const WORKSPACE_OVERRIDE_KEY = 'auto-accept-workspace-override'; // { hash, allowed }: the user's answer to a policy file's `override: true`
+const APPROVALS_KEY = 'auto-accept-approvals'; // [{ actionType, label, command, file, mcpServer, mcpTool, url }] from "Always allow this"
 // Locking
 const LOCK_KEY = 'auto-accept-instance-lock';
 const HEARTBEAT_KEY = 'auto-accept-instance-heartbeat';
@@ -28,11 +36,13 @@ let isEnabled = false;
 let isLockedOut = false; // Local tracking
 let pollFrequency = 2000; // Default for Free
 let bannedCommands = []; // List of command patterns to block
+const policyEngine = new PolicyEngine(); // Decides allow / deny / ask for every button the pages find
+const actionBudget = new ActionBudget(); // Caps on auto-run commands and edits (autoAccept.budget.*)
+let budgetPause = null; // The cap that turned Auto Accept off, shown in the status bar until it is turned back on
 
 // Background Mode state
 let backgroundModeEnabled = false;
 const BACKGROUND_DONT_SHOW_KEY = 'auto-accept-background-dont-show';
-const BACKGROUND_MODE_KEY = 'auto-accept-background-mode';
 const VERSION_7_0_KEY = 'auto-accept-version-7.0-notification-shown';
 const VERSION_8_6_0_KEY = 'auto-accept-version-8.6-notification-shown';
 const RELEASY_PROMO_KEY = 'auto-accept-releasy-promo-shown';
@@ -45,6 +55,13 @@ let statusBackgroundItem; // New: Background Mode toggle
 let outputChannel;
 let currentIDE = 'unknown'; // 'cursor' | 'antigravity'
 let globalContext;
+let settings; // SettingsStore
+let workspacePolicy = null; // .autoaccept.json / .yaml in the workspace root, see readWorkspacePolicy
+let workspacePolicyWatcher;
+let overridePromptFor = null; // hash of the policy file the override question is open for
+
+// Live counters pushed by the page scripts (reset when Auto Accept is turned on)
+let sessionTelemetry = { clicks: 0, blocked: 0, completed: 0, errors: 0 };
 
 // Command-based auto-accept (IDE native)
 const ACCEPT_COMMANDS_ANTIGRAVITY = [
@@ -70,15 +87,30 @@ function getAcceptCommandsForIDE() {
     return [];
 }
 
+let nativeAcceptWarned = false; // The unchecked-native-accept warning is shown once per session
+
+// The native accept commands skip the policy engine: while a page is connected any configured policy
+// turns them off, without one they are the only accept path and run unchecked
 async function executeAcceptCommandsForIDE() {
+    const pageConnected = !!cdpHandler && cdpHandler.hasOpenTargets();
+    if (!policyEngine.allowsNativeAccept(pageConnected)) return;
     const commands = getAcceptCommandsForIDE();
     if (commands.length === 0) return;
+    if (!pageConnected && !policyEngine.allowsEverything() && !nativeAcceptWarned) {
+        nativeAcceptWarned = true;
+        log('[Policy] No page connected over CDP; accepting through the IDE commands, which skip policy checks.');
+        vscode.window.showWarningMessage('Auto Accept: no chat page is connected over CDP, so it accepts through the IDE commands. Banned commands, secret checks and your other policy settings are not enforced until it connects.', 'Set Up CDP')
+            .then(choice => { if (choice === 'Set Up CDP' && relauncher) relauncher.ensureCDPAndRelaunch(); });
+    }
     await Promise.allSettled(commands.map(cmd => vscode.commands.executeCommand(cmd)));
 }
 
 // Handlers (used by both IDEs now)
 let cdpHandler;
 let relauncher;
+let auditLog;
+let statsStore;
+let statsFlush = Promise.resolve(); // serializes collectStats() so no delta is counted twice
 
 function log(message) {
     try {
@@ -90,6 +122,266 @@ function log(message) {
     }
 }
 
+// CDP endpoint settings (autoAccept.cdp.*)
+function getCDPSettings(context) {
+    const { userDataDirFromGlobalStorage } = require('./main_scripts/cdp-endpoint');
+    const config = vscode.workspace.getConfiguration('autoAccept.cdp');
+    return {
+        host: config.get('host'),
+        port: config.get('port'),
+        portRange: config.get('portRange'),
+        additionalPorts: config.get('additionalPorts'),
+        useDevToolsActivePort: config.get('useDevToolsActivePort'),
+        userDataDir: userDataDirFromGlobalStorage(context.globalStorageUri && context.globalStorageUri.fsPath)
+    };
+}
+
+function applyCDPSettings(context) {
+    const settings = getCDPSettings(context);
+    if (cdpHandler) cdpHandler.setEndpoint(settings);
+    if (relauncher) relauncher.setPort(settings.port);
+}
+
+// Audit log settings (autoAccept.auditLog.*)
+function applyAuditLogSettings(context) {
+    if (!auditLog) return;
+    const config = vscode.workspace.getConfiguration('autoAccept.auditLog');
+    // Workspace storage keeps one log per repo; fall back to global storage with no folder open
+    const storageUri = context.storageUri || context.globalStorageUri;
+    auditLog.configure({
+        enabled: config.get('enabled'),
+        path: config.get('path'),
+        defaultDir: storageUri && storageUri.fsPath
+    });
+}
+
+// Policy rules (autoAccept.policy.*); the banned-command list is fed in separately
+function applyPolicySettings() {
+    const config = vscode.workspace.getConfiguration('autoAccept.policy');
+    const merged = getMergedSettings();
+    policyEngine.configure({
+        rules: config.get('rules'),
+        defaultAction: config.get('defaultAction'),
+        shell: config.get('shell'),
+        secretAction: config.get('secrets'),
+        networkGuard: config.get('networkGuard'),
+        allowedHosts: config.get('allowedHosts'),
+        protectedPaths: merged.protectedPaths,
+        diffLimits: {
+            maxLinesAdded: config.get('maxLinesAdded'),
+            maxLinesRemoved: config.get('maxLinesRemoved'),
+            maxFiles: config.get('maxFilesPerStep'),
+            holdFileDeletions: config.get('holdFileDeletions')
+        },
+        buttons: merged.buttons,
+        mcpTools: config.get('mcpTools'),
+        allowedUrls: config.get('allowedUrls'),
+        deniedUrls: config.get('deniedUrls'),
+        unlistedUrls: config.get('unlistedUrls')
+    });
+    for (const error of policyEngine.errors) logError(`[Policy] Ignoring invalid rule. ${error}`);
+    for (const error of policyEngine.mcpErrors) logError(`[Policy] Ignoring invalid MCP tool rule. ${error}`);
+    log(`[Policy] ${policyEngine.rules.length} rule(s), ${policyEngine.mcpRules.length} MCP tool rule(s), ${policyEngine.protectedRules.length} protected path(s), default: ${policyEngine.defaultAction}`);
+}
+
+// The user's enabled state, command lists, protected paths and button settings (autoAccept.buttons.*: 'on' | 'ask' | 'off')
+function getUserSettings() {
+    const buttonConfig = vscode.workspace.getConfiguration('autoAccept.buttons');
+    const buttons = {};
+    for (const type of BUTTON_TYPES) buttons[type] = buttonConfig.get(type, 'on');
+    return {
+        enabled: settings.get('enabled', false),
+        bannedCommands: settings.get('bannedCommands', DEFAULT_BANNED_COMMANDS),
+        protectedPaths: vscode.workspace.getConfiguration('autoAccept.policy').get('protectedPaths') || [],
+        commandMode: settings.get('commandMode', 'denylist'),
+        allowedCommands: settings.get('allowedCommands', DEFAULT_ALLOWED_COMMANDS),
+        buttons
+    };
+}
+
+// The user's settings with the workspace policy file applied, see applyWorkspacePolicy
+function getMergedSettings() {
+    return applyWorkspacePolicy(getUserSettings(), workspacePolicyFields(), { allowOverride: workspaceOverrideAllowed() });
+}
+
+// A policy file's `override: true` applies once the user allowed this content of it, or when it loosens nothing
+function workspaceOverrideAllowed() {
+    if (!workspacePolicy || !workspacePolicy.policy.override) return false;
+    const answer = globalContext.workspaceState.get(WORKSPACE_OVERRIDE_KEY);
+    if (answer && answer.hash === workspacePolicy.hash) return answer.allowed;
+    return describeLoosening(getUserSettings(), workspacePolicy.policy).length === 0;
+}
+
+// Ask once per file content before `override: true` loosens anything; an edited file asks again
+async function confirmWorkspaceOverride() {
+    if (!workspacePolicy || !workspacePolicy.policy.override) return;
+    const { name, hash } = workspacePolicy;
+    const answer = globalContext.workspaceState.get(WORKSPACE_OVERRIDE_KEY);
+    if ((answer && answer.hash === hash) || overridePromptFor === hash) return;
+    const loosening = describeLoosening(getUserSettings(), workspacePolicy.policy);
+    if (loosening.length === 0) return;
+
+    overridePromptFor = hash;
+    const choice = await vscode.window.showWarningMessage(
+        `Auto Accept: ${name} in this workspace replaces your settings here. It ${loosening.join(', ')}. Allow it?`,
+        'Allow', 'Only Tighten'
+    );
+    overridePromptFor = null;
+    if (!choice || !workspacePolicy || workspacePolicy.hash !== hash) return;
+    const wasEnabled = getMergedSettings().enabled;
+    await globalContext.workspaceState.update(WORKSPACE_OVERRIDE_KEY, { hash, allowed: choice === 'Allow' });
+    log(`[Policy] ${name}: override ${choice === 'Allow' ? 'allowed' : 'declined, only its restrictions apply'}`);
+    if (choice === 'Allow') await reloadWorkspacePolicy({ wasEnabled });
+}
+
+// Fields set by the workspace policy file, {} without one
+function workspacePolicyFields() {
+    return workspacePolicy ? workspacePolicy.policy : {};
+}
+
+// (Re)read the policy file of the first workspace folder; an untrusted workspace's file is not read
+function loadWorkspacePolicy() {
+    const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+    workspacePolicy = folder && vscode.workspace.isTrusted ? readWorkspacePolicy(folder.uri.fsPath) : null;
+}
+
+function reportWorkspacePolicy() {
+    if (!vscode.workspace.isTrusted) log('[Policy] Workspace is not trusted, its policy file is ignored');
+    if (!workspacePolicy) return;
+    const fields = Object.keys(workspacePolicy.policy);
+    log(`[Policy] Using ${workspacePolicy.name}: ${fields.length > 0 ? fields.join(', ') : 'no settings'}`);
+    for (const error of workspacePolicy.errors) logError(`[Policy] ${error}`);
+}
+
+// Follow edits to the policy file, so its rules apply right away
+function watchWorkspacePolicy(context) {
+    if (workspacePolicyWatcher) workspacePolicyWatcher.dispose();
+    workspacePolicyWatcher = null;
+    const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+    if (!folder) return;
+
+    workspacePolicyWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, '.autoaccept.{json,yaml,yml}'));
+    const reload = () => reloadWorkspacePolicy().catch(e => logError(`[Policy] Could not reload the workspace policy: ${e.message}`));
+    workspacePolicyWatcher.onDidCreate(reload);
+    workspacePolicyWatcher.onDidChange(reload);
+    workspacePolicyWatcher.onDidDelete(reload);
+    context.subscriptions.push(workspacePolicyWatcher);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.wasEnabled] - the merged enabled state before the change, so a file that
+ *   turns Auto Accept on or off takes effect
+ */
+async function reloadWorkspacePolicy({ wasEnabled = getMergedSettings().enabled } = {}) {
+    loadWorkspacePolicy();
+    reportWorkspacePolicy();
+    if (!workspacePolicy) {
+        if (vscode.workspace.isTrusted) log('[Policy] No workspace policy file, using settings only');
+    } else if (workspacePolicy.errors.length > 0) {
+        vscode.window.showWarningMessage(`Auto Accept: ${workspacePolicy.name} has problems, see the Auto Accept output for details.`);
+    }
+
+    applyCommandSettings();
+    applyPolicySettings();
+    if (cdpHandler) await cdpHandler.clearDecisions();
+    if (isEnabled) await syncSessions(); // the pages' readDiffStats may have changed
+
+    // The file turned Auto Accept on or off for this workspace; the user's own setting is left alone
+    const enabled = getMergedSettings().enabled;
+    if (enabled !== wasEnabled && enabled !== isEnabled) await handleToggle(globalContext, { persist: false });
+
+    const panel = getSettingsPanel();
+    if (panel && panel.currentPanel) panel.currentPanel.sendBannedCommands();
+    confirmWorkspaceOverride().catch(e => logError(`[Policy] ${e.message}`));
+}
+
+// Which policy source is active, for the Settings panel
+function describePolicySource() {
+    if (!workspacePolicy) return null;
+    return {
+        name: workspacePolicy.name,
+        path: workspacePolicy.path,
+        fields: Object.keys(workspacePolicy.policy).filter(field => field !== 'override'),
+        overrides: workspaceOverrideAllowed(),
+        errors: workspacePolicy.errors
+    };
+}
+
+// Action budget (autoAccept.budget.*); 0 means no cap
+function applyBudgetSettings() {
+    const config = vscode.workspace.getConfiguration('autoAccept.budget');
+    actionBudget.configure({
+        terminal: {
+            session: config.get('maxCommandsPerSession', 0),
+            hour: config.get('maxCommandsPerHour', 0),
+            conversation: config.get('maxCommandsPerConversation', 0)
+        },
+        edit: {
+            session: config.get('maxEditsPerSession', 0),
+            hour: config.get('maxEditsPerHour', 0),
+            conversation: config.get('maxEditsPerConversation', 0)
+        }
+    });
+}
+
+// Circuit breaker (autoAccept.circuitBreaker.*), handed to the pages on start
+function getCircuitBreakerSettings() {
+    const config = vscode.workspace.getConfiguration('autoAccept.circuitBreaker');
+    return {
+        maxRepeats: Math.max(0, config.get('maxRepeats', 10)),
+        windowMs: Math.max(1, config.get('windowMinutes', 5)) * 60 * 1000
+    };
+}
+
+// Commands are assumed to run in the first workspace folder
+function getWorkspaceCwd() {
+    const folders = vscode.workspace.workspaceFolders;
+    return folders && folders.length > 0 ? folders[0].uri.fsPath : '';
+}
+
+// Remote name -> URL of the workspace repo; read once and again only when .git/config changes
+let gitRemotesCache = null; // { cwd, remotes }
+let gitConfigWatcher;
+
+function getGitRemotes() {
+    const cwd = getWorkspaceCwd();
+    if (!gitRemotesCache || gitRemotesCache.cwd !== cwd) gitRemotesCache = { cwd, remotes: readGitRemotes(cwd) };
+    return gitRemotesCache.remotes;
+}
+
+function watchGitConfig(context) {
+    if (gitConfigWatcher) gitConfigWatcher.dispose();
+    gitConfigWatcher = null;
+    gitRemotesCache = null;
+    const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+    if (!folder) return;
+
+    gitConfigWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, '.git/config'));
+    const invalidate = () => { gitRemotesCache = null; };
+    gitConfigWatcher.onDidCreate(invalidate);
+    gitConfigWatcher.onDidChange(invalidate);
+    gitConfigWatcher.onDidDelete(invalidate);
+    context.subscriptions.push(gitConfigWatcher);
+}
+
+// Protected-path globs are workspace-relative; the page reports whatever path the diff header shows
+function toWorkspacePath(file) {
+    if (!file || !path.isAbsolute(file)) return file || '';
+    const cwd = getWorkspaceCwd();
+    const relative = cwd ? path.relative(cwd, file) : '';
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative.split(path.sep).join('/') : file;
+}
+
+// Errors the user should be able to see without opening DevTools go to the output channel
+function logError(message) {
+    log(message);
+    if (outputChannel) {
+        const timestamp = new Date().toISOString().split('T')[1].split('.')[0];
+        outputChannel.appendLine(`[${timestamp}] ${message}`);
+    }
+}
+
 function detectIDE() {
     const appName = vscode.env.appName || '';
     if (appName.toLowerCase().includes('cursor')) return 'Cursor';
@@ -101,6 +393,8 @@ async function activate(context) {
     globalContext = context;
     console.log('Auto Accept Extension: Activator called.');
 
+    statsStore = new StatsStore(context);
+
     // Initialize payment handler
     payment.init(context);
     payment.setCallbacks({
@@ -153,30 +447,22 @@ async function activate(context) {
     }
 
     try {
-        // 1. Initialize State
-        isEnabled = context.globalState.get(GLOBAL_STATE_KEY, false);
+        // 1. Initialize State (preferences saved by older versions move to settings first)
+        settings = new SettingsStore(context, log);
+        await settings.migrate();
+        loadWorkspacePolicy();
+        // The workspace policy file may turn Auto Accept off, or on with `override: true`
+        isEnabled = getMergedSettings().enabled;
 
         // Load frequency - Pro/trial users get custom, free users get 300ms
         pollFrequency = payment.getPollFrequency();
 
         // Load background mode state
-        backgroundModeEnabled = context.globalState.get(BACKGROUND_MODE_KEY, false);
-
-        // Load banned commands list (default: common dangerous patterns)
-        const defaultBannedCommands = [
-            'rm -rf /',
-            'rm -rf ~',
-            'rm -rf *',
-            'format c:',
-            'del /f /s /q',
-            'rmdir /s /q',
-            ':(){:|:&};:',  // fork bomb
-            'dd if=',
-            'mkfs.',
-            '> /dev/sda',
-            'chmod -R 777 /'
-        ];
-        bannedCommands = context.globalState.get(BANNED_COMMANDS_KEY, defaultBannedCommands);
+        backgroundModeEnabled = settings.get('backgroundMode', false);
+
+        // Banned commands (default: common dangerous patterns), command mode and allowlist
+        applyCommandSettings();
+        policyEngine.configure({ approvals: context.globalState.get(APPROVALS_KEY, []) });
 
 
         // 1.5 Verify License Background Check
@@ -209,6 +495,9 @@ async function activate(context) {
 
         log(`Auto Accept: Activating...`);
         log(`Auto Accept: Detected environment: ${currentIDE.toUpperCase()}`);
+        reportWorkspacePolicy();
+        applyPolicySettings();
+        applyBudgetSettings();
 
         // Setup Focus Listener - Push state to browser (authoritative source)
         vscode.window.onDidChangeWindowState(async (e) => {
@@ -231,12 +520,60 @@ async function activate(context) {
 
             cdpHandler = new CDPHandler(log);
             relauncher = new Relauncher(log);
+            applyCDPSettings(context);
+            cdpHandler.on('health', () => updateStatusBar());
+            cdpHandler.on('injectionError', ({ id, error, attempts, retryInMs }) => {
+                logError(`[CDP] Injection failed on ${id} (attempt ${attempts}, retrying in ${Math.round(retryInMs / 1000)}s): ${error.toString()}`);
+            });
+            cdpHandler.on('telemetry', (event) => handleTelemetry(event));
             log(`CDP handlers initialized for ${currentIDE}.`);
+
+            const { AuditLog } = require('./audit-log');
+            auditLog = new AuditLog(log, {
+                onError: (e) => logError(`[Audit] Could not write the audit log: ${e.message}`)
+            });
+            applyAuditLogSettings(context);
         } catch (err) {
             log(`Failed to initialize CDP handlers: ${err.message}`);
             vscode.window.showErrorMessage(`Auto Accept Error: ${err.message}`);
         }
 
+        // Follow settings edits live
+        context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(async (e) => {
+            await handleCoreSettingsChange(context, e);
+            // Changed settings can make a policy file's override loosen something it did not before
+            if (e.affectsConfiguration('autoAccept')) confirmWorkspaceOverride().catch(err => logError(`[Policy] ${err.message}`));
+            if (e.affectsConfiguration('autoAccept.auditLog')) applyAuditLogSettings(context);
+            if (e.affectsConfiguration('autoAccept.circuitBreaker') && isEnabled) await syncSessions();
+            if (e.affectsConfiguration('autoAccept.budget')) {
+                applyBudgetSettings();
+                const cap = isEnabled && actionBudget.exhausted();
+                if (cap) pauseForBudget(cap);
+                else updateStatusBar();
+            }
+            if (e.affectsConfiguration('autoAccept.policy') || e.affectsConfiguration('autoAccept.buttons')) {
+                applyPolicySettings();
+                if (cdpHandler) await cdpHandler.clearDecisions();
+                if (isEnabled) await syncSessions();
+            }
+            if (!e.affectsConfiguration('autoAccept.cdp')) return;
+            log('CDP settings changed, reconnecting...');
+            applyCDPSettings(context);
+            if (isEnabled) await syncSessions();
+        }));
+
+        // Workspace policy file (.autoaccept.json / .yaml) and the repo's git remotes
+        watchWorkspacePolicy(context);
+        watchGitConfig(context);
+        context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(async () => {
+            watchGitConfig(context);
+            watchWorkspacePolicy(context);
+            await reloadWorkspacePolicy();
+        }));
+        context.subscriptions.push(vscode.workspace.onDidGrantWorkspaceTrust(() => {
+            reloadWorkspacePolicy().catch(e => logError(`[Policy] Could not reload the workspace policy: ${e.message}`));
+        }));
+
         // 4. Update Status Bar (already created at start)
         updateStatusBar();
         log('Status bar updated with current state.');
@@ -249,6 +586,10 @@ async function activate(context) {
             vscode.commands.registerCommand('auto-accept.toggleBackground', () => handleBackgroundToggle(context)),
             vscode.commands.registerCommand('auto-accept.updateBannedCommands', (commands) => handleBannedCommandsUpdate(context, commands)),
             vscode.commands.registerCommand('auto-accept.getBannedCommands', () => bannedCommands),
+            vscode.commands.registerCommand('auto-accept.getPolicySource', () => describePolicySource()),
+            vscode.commands.registerCommand('auto-accept.updateCommandMode', (mode) => handleCommandModeUpdate(context, mode)),
+            vscode.commands.registerCommand('auto-accept.updateAllowedCommands', (commands) => handleAllowedCommandsUpdate(context, commands)),
+            vscode.commands.registerCommand('auto-accept.openAuditLog', () => handleOpenAuditLog()),
             vscode.commands.registerCommand('auto-accept.openSettings', () => {
                 const panel = getSettingsPanel();
                 if (panel) {
@@ -287,6 +628,8 @@ async function activate(context) {
         // 9. Show Releasy AI Cross-Promo (Once, after first session)
         showReleasyCrossPromo(context);
 
+        confirmWorkspaceOverride().catch(e => logError(`[Policy] ${e.message}`));
+
         log('Auto Accept: Activation complete');
     } catch (error) {
         console.error('ACTIVATION CRITICAL FAILURE:', error);
@@ -306,7 +649,7 @@ async function ensureCDPOrPrompt(showPrompt = false) {
         log('CDP is active and available.');
         return true;
     } else {
-        log('CDP not found on target ports (9000 +/- 3).');
+        log(`CDP not found on target ports (${cdpHandler.describePorts()}).`);
         if (showPrompt && relauncher) {
             log('Initiating CDP setup flow...');
             await relauncher.ensureCDPAndRelaunch();
@@ -318,6 +661,7 @@ async function ensureCDPOrPrompt(showPrompt = false) {
 async function checkEnvironmentAndStart() {
     if (isEnabled) {
         log('Initializing Auto Accept environment...');
+        await statsStore.startSession();
         // Start polling immediately via commands, CDP connects in background
         await startPolling();
         ensureCDPOrPrompt(false); // non-blocking CDP attempt
@@ -325,11 +669,26 @@ async function checkEnvironmentAndStart() {
     updateStatusBar();
 }
 
-async function handleToggle(context) {
+/**
+ * @param {Object} options
+ * @param {boolean} options.persist - false when the workspace policy file turned it on or off;
+ *   the user's autoAccept.enabled setting is left alone
+ */
+async function handleToggle(context, { persist = true } = {}) {
     log('=== handleToggle CALLED ===');
     log(`  Previous isEnabled: ${isEnabled}`);
 
     try {
+        // A used-up hourly budget stays used up; turning back on would only spend one more action
+        const exhausted = !isEnabled && actionBudget.exhausted(['hour']);
+        if (exhausted) {
+            const freesAt = new Date(actionBudget.hourFreesAt(exhausted.actionType)).toLocaleTimeString();
+            vscode.window.showWarningMessage(`Auto Accept: ${describeCap(exhausted)}. It can run again after ${freesAt}.`);
+            // Turned on from settings.json: put the setting back so it matches
+            if (persist && settings.get('enabled', false)) await settings.update('enabled', false);
+            return;
+        }
+
         // Auto-start trial on first toggle for free users
         if (!isEnabled && !payment.isPro() && !payment.hasTrialStarted()) {
             payment.startTrial();
@@ -344,11 +703,14 @@ async function handleToggle(context) {
         }
 
         isEnabled = !isEnabled;
+        budgetPause = null;
         log(`  New isEnabled: ${isEnabled}`);
 
         // Update state and UI IMMEDIATELY (non-blocking)
-        await context.globalState.update(GLOBAL_STATE_KEY, isEnabled);
-        log(`  GlobalState updated`);
+        if (persist) {
+            await settings.update('enabled', isEnabled);
+            log(`  Setting updated`);
+        }
 
         log('  Calling updateStatusBar...');
         updateStatusBar();
@@ -356,6 +718,9 @@ async function handleToggle(context) {
         // Do CDP operations in background (don't block toggle)
         if (isEnabled) {
             log('Auto Accept: Enabled');
+            sessionTelemetry = { clicks: 0, blocked: 0, completed: 0, errors: 0 };
+            actionBudget.startSession();
+            await statsStore.startSession();
             // Start command polling immediately, CDP connects in background
             startPolling();
             ensureCDPOrPrompt(false); // non-blocking CDP attempt
@@ -409,13 +774,19 @@ async function handleRelaunch() {
     await relauncher.ensureCDPAndRelaunch();
 }
 
+// The Settings panel and commands write settings; handleCoreSettingsChange applies them
 async function handleFrequencyUpdate(context, freq) {
     if (!payment.hasProAccess()) {
         log('Custom frequency requires Pro');
         return;
     }
+    await settings.update('pollFrequency', Number(freq));
+}
+
+async function applyPollFrequency() {
+    const freq = payment.getPollFrequency();
+    if (freq === pollFrequency) return;
     pollFrequency = freq;
-    await context.globalState.update(payment.FREQ_STATE_KEY, freq);
     log(`Poll frequency updated to: ${freq}ms`);
     if (isEnabled) {
         await syncSessions();
@@ -434,15 +805,53 @@ async function handleBannedCommandsUpdate(context, commands) {
         log('Banned commands customization requires Pro');
         return;
     }
-    bannedCommands = Array.isArray(commands) ? commands : [];
-    await context.globalState.update(BANNED_COMMANDS_KEY, bannedCommands);
-    log(`Banned commands updated: ${bannedCommands.length} patterns`);
-    if (bannedCommands.length > 0) {
-        log(`Banned patterns: ${bannedCommands.slice(0, 5).join(', ')}${bannedCommands.length > 5 ? '...' : ''}`);
+    await settings.update('bannedCommands', Array.isArray(commands) ? commands : []);
+}
+
+async function handleCommandModeUpdate(context, mode) {
+    if (!payment.hasProAccess()) {
+        log('Allowlist mode requires Pro');
+        return;
     }
-    if (isEnabled) {
-        await syncSessions();
+    await settings.update('commandMode', mode === 'allowlist' ? 'allowlist' : 'denylist');
+}
+
+async function handleAllowedCommandsUpdate(context, commands) {
+    if (!payment.hasProAccess()) {
+        log('Allowed commands customization requires Pro');
+        return;
     }
+    await settings.update('allowedCommands', Array.isArray(commands) ? commands : []);
+}
+
+// Banned commands, command mode and allowlist (autoAccept.bannedCommands / commandMode / allowedCommands),
+// tightened by the workspace policy file
+function applyCommandSettings() {
+    const merged = getMergedSettings();
+    bannedCommands = merged.bannedCommands;
+    policyEngine.setBannedCommands(bannedCommands);
+    policyEngine.configure({ commandMode: merged.commandMode, allowedCommands: merged.allowedCommands });
+    log(`Banned commands: ${policyEngine.bannedRules.length} patterns, command mode: ${policyEngine.commandMode}, ${policyEngine.allowedCommands.length} allowed commands`);
+}
+
+// Settings edited in settings.json, by Settings Sync or by our own commands take effect without a reload
+async function handleCoreSettingsChange(context, e) {
+    const affects = key => e.affectsConfiguration(`autoAccept.${key}`);
+
+    if (affects('pollFrequency')) await applyPollFrequency();
+    if (affects('bannedCommands') || affects('commandMode') || affects('allowedCommands')) {
+        applyCommandSettings();
+        if (cdpHandler) await cdpHandler.clearDecisions();
+    }
+    if (affects('backgroundMode')) {
+        const wanted = settings.get('backgroundMode', false);
+        if (wanted && !payment.hasProAccess()) {
+            log('Background Mode is a Pro feature; ignoring autoAccept.backgroundMode');
+        } else {
+            await applyBackgroundMode(wanted);
+        }
+    }
+    if (affects('enabled') && settings.get('enabled', false) !== isEnabled) await handleToggle(context);
 }
 
 async function handleBackgroundToggle(context) {
@@ -498,33 +907,38 @@ async function handleBackgroundToggle(context) {
         }
 
         // Enable it
-        backgroundModeEnabled = true;
-        await context.globalState.update(BACKGROUND_MODE_KEY, true);
+        await applyBackgroundMode(true);
         log('Background mode enabled');
     } else {
         // Simple toggle
-        backgroundModeEnabled = !backgroundModeEnabled;
-        await context.globalState.update(BACKGROUND_MODE_KEY, backgroundModeEnabled);
+        await applyBackgroundMode(!backgroundModeEnabled);
         log(`Background mode toggled: ${backgroundModeEnabled}`);
+    }
+    await settings.update('backgroundMode', backgroundModeEnabled);
+}
 
-        // If background mode is being turned OFF, stop background loops
-        if (!backgroundModeEnabled && cdpHandler && isEnabled) {
-            log('Background mode OFF: Stopping background loops...');
+// Switch the running session between simple and background mode
+async function applyBackgroundMode(enabled) {
+    if (enabled === backgroundModeEnabled) return;
+    backgroundModeEnabled = enabled;
 
-            // Stop current session and restart in simple mode
-            await cdpHandler.stop();
-            await syncSessions();
-            log('Background mode OFF: Restarted in simple mode');
-        } else if (backgroundModeEnabled && cdpHandler && isEnabled) {
-            // Background mode turned ON - restart in background mode
-            log('Background mode ON: Switching to background mode...');
-            await syncSessions();
-        }
+    // If background mode is being turned OFF, stop background loops
+    if (!backgroundModeEnabled && cdpHandler && isEnabled) {
+        log('Background mode OFF: Stopping background loops...');
 
-        // Hide overlay if being disabled (redundant safety - cdp-handler also does this)
-        if (!backgroundModeEnabled && cdpHandler) {
-            cdpHandler.hideBackgroundOverlay().catch(() => { });
-        }
+        // Stop current session and restart in simple mode
+        await cdpHandler.stop();
+        await syncSessions();
+        log('Background mode OFF: Restarted in simple mode');
+    } else if (backgroundModeEnabled && cdpHandler && isEnabled) {
+        // Background mode turned ON - restart in background mode
+        log('Background mode ON: Switching to background mode...');
+        await syncSessions();
+    }
+
+    // Hide overlay if being disabled (redundant safety - cdp-handler also does this)
+    if (!backgroundModeEnabled && cdpHandler) {
+        cdpHandler.hideBackgroundOverlay().catch(() => { });
     }
 
     // Update UI immediately
@@ -542,7 +956,9 @@ async function syncSessions() {
                 isBackgroundMode: backgroundModeEnabled,
                 pollInterval: pollFrequency,
                 ide: currentIDE,
-                bannedCommands: bannedCommands
+                breaker: getCircuitBreakerSettings(),
+                // Reading diff summaries is costly; the pages skip it when no setting looks at them
+                readDiffStats: policyEngine.needsDiffStats()
             });
         } catch (err) {
             log(`CDP: Sync error: ${err.message}`);
@@ -598,9 +1014,21 @@ async function startPolling() {
         }
 
         await syncSessions();
+        await flushStats();
     }, 5000);
 }
 
+// Move the pages' counters into the persisted stats
+function flushStats() {
+    statsFlush = statsFlush
+        .then(async () => {
+            if (!cdpHandler || !statsStore) return;
+            await statsStore.record(await cdpHandler.collectStats());
+        })
+        .catch(e => log(`[Stats] Failed to persist stats: ${e.message}`));
+    return statsFlush;
+}
+
 async function stopPolling() {
     if (pollTimer) {
         clearInterval(pollTimer);
@@ -610,30 +1038,343 @@ async function stopPolling() {
         clearInterval(commandPollTimer);
         commandPollTimer = null;
     }
-    if (cdpHandler) await cdpHandler.stop();
+    if (cdpHandler) {
+        await flushStats(); // Last counts before the pages are stopped
+        await cdpHandler.stop();
+    }
     log('Auto Accept: Polling stopped');
 }
 
 
+// --- PAGE TELEMETRY ---
+// Events pushed from the injected scripts via the Runtime.addBinding channel
+function handleTelemetry(event) {
+    switch (event.type) {
+        case 'click':
+            if (event.verified) sessionTelemetry.clicks++;
+            log(`[Page] Clicked "${event.label}"${describeTarget(event)} on ${event.id}${event.verified ? '' : ' (unverified)'}`);
+            audit(event, { decision: 'clicked', verified: event.verified });
+            countAgainstBudget(event);
+            break;
+        case 'blocked':
+            sessionTelemetry.blocked++;
+            log(`[Page] Blocked "${displayCommand(event.command).substring(0, 80)}" (pattern: ${event.pattern}) on ${event.id}`);
+            audit(event, { decision: 'blocked', pattern: event.pattern });
+            showEscalation(event, event.pattern);
+            break;
+        case 'decide':
+            handleDecisionRequest(event);
+            return;
+        case 'ask':
+            log(`[Page] "${event.label}" needs approval (${event.reason}) on ${event.id}`);
+            audit(event, { decision: 'skipped', reason: `ask: ${event.reason}` });
+            showEscalation(event, event.reason);
+            return;
+        case 'skipped':
+            log(`[Page] Skipped "${event.label}" (${event.reason}) on ${event.id}`);
+            audit(event, { decision: 'skipped', reason: event.reason });
+            return;
+        case 'attention':
+            log(`[Page] Paused "${event.tab || 'current conversation'}" on ${event.id}: "${event.label}" clicked ${event.count}x`);
+            audit(event, { decision: 'skipped', reason: `circuit breaker: ${event.count} repeats` });
+            showCircuitBreakerNotification(event);
+            return;
+        case 'completed':
+            sessionTelemetry.completed++;
+            log(`[Page] Conversation "${event.tab}" completed on ${event.id}`);
+            break;
+        case 'error':
+            sessionTelemetry.errors++;
+            logError(`[Page] ${event.where} failed on ${event.id}: ${event.message}${event.stack ? `\n${event.stack}` : ''}`);
+            break;
+        default:
+            return;
+    }
+    updateStatusBar();
+}
+
+// A page found a button and wants to know what to do with it
+function handleDecisionRequest(event) {
+    if (!cdpHandler) return;
+    const decision = policyEngine.evaluate({
+        actionType: event.actionType,
+        label: event.label,
+        command: event.command,
+        file: toWorkspacePath(event.file),
+        diff: event.diff,
+        cwd: getWorkspaceCwd(),
+        // `git push origin` names a remote; the guard needs its host
+        gitRemotes: policyEngine.networkGuard !== 'off' && event.command ? getGitRemotes() : {},
+        ide: currentIDE,
+        mcpServer: event.mcpServer,
+        mcpTool: event.mcpTool,
+        url: event.url
+    });
+    // Tool calls and browser visits are logged whatever the outcome, so there is a trail of what was let through
+    if (decision.action !== 'allow' || event.actionType === 'mcp' || event.actionType === 'browser') {
+        log(`[Policy] ${decision.action.toUpperCase()} "${event.label}"${event.command ? ` (${displayCommand(event.command).substring(0, 80)})` : ''}${event.file ? ` on ${event.file}` : ''}${describeTarget(event)} by ${decision.reason}`);
+    }
+    cdpHandler.resolveDecision(event.id, event.key, { action: decision.action, reason: decision.reason, source: decision.rule && decision.rule.source })
+        .catch(e => log(`[Policy] Could not deliver decision to ${event.id}: ${e.message}`));
+}
+
+// --- ESCALATION ---
+// A blocked or waiting action asks the user instead of stalling the agent silently
+
+const openEscalations = new Set(); // decision keys with a notification on screen
+
+async function showEscalation(event, rule) {
+    if (!cdpHandler || !event.key || openEscalations.has(event.key)) return;
+    openEscalations.add(event.key);
+
+    const what = event.command
+        ? `\`${displayCommand(event.command).substring(0, 120)}\``
+        : event.actionType === 'mcp'
+            ? `MCP tool ${describeTool(event)}`
+            : event.actionType === 'browser'
+                ? `a browser visit to ${event.url || 'an unknown URL'}`
+                : `"${event.label}"${event.file ? ` on ${event.file}` : ''}${event.diff ? ` (${formatDiff(event.diff)})` : ''}`;
+    const message = event.type === 'blocked'
+        ? `Auto Accept blocked ${what} (rule: ${rule}).`
+        : `Auto Accept needs your approval for ${what} (${rule}).`;
+    // A detected credential is never remembered: approving it would store the secret itself.
+    // Protected paths cannot be approved for good either; approvals never override them.
+    const choices = ['secrets', 'protectedPaths'].includes(event.source) ? ['Run once', 'Reject'] : ['Run once', 'Always allow this', 'Reject'];
+    if (event.tab) choices.push('Open conversation');
+
+    try {
+        const choice = await vscode.window.showWarningMessage(message, ...choices);
+        if (choice === 'Run once') {
+            log(`[Policy] Approved once: "${event.label}" on ${event.id}`);
+            await cdpHandler.resolveDecision(event.id, event.key, { action: 'allow', reason: 'approved once', once: true });
+        } else if (choice === 'Always allow this') {
+            await addApproval(event);
+        } else if (choice === 'Reject') {
+            const rejected = await cdpHandler.rejectAction(event.id, event.key);
+            log(`[Policy] Rejected "${event.label}" on ${event.id}${rejected ? '' : ' (no reject button found)'}`);
+            if (!rejected) vscode.window.showInformationMessage('Auto Accept: could not find a reject button for this action. It stays blocked.');
+        } else if (choice === 'Open conversation') {
+            const opened = await cdpHandler.openConversation(event.id, event.tab);
+            if (!opened) log(`[Policy] Conversation "${event.tab}" not found on ${event.id}`);
+        }
+    } catch (e) {
+        log(`[Policy] Could not apply answer for "${event.label}" on ${event.id}: ${e.message}`);
+    } finally {
+        openEscalations.delete(event.key);
+    }
+}
+
+async function addApproval(event) {
+    const approvals = globalContext.globalState.get(APPROVALS_KEY, []);
+    const approval = {
+        actionType: event.actionType,
+        label: event.label,
+        command: event.command || '',
+        file: toWorkspacePath(event.file),
+        mcpServer: event.mcpServer || '',
+        mcpTool: event.mcpTool || '',
+        url: event.url || ''
+    };
+    const exists = approvals.some(a => a.actionType === approval.actionType && a.label === approval.label &&
+        a.command === approval.command && (a.file || '') === approval.file &&
+        (a.mcpServer || '') === approval.mcpServer && (a.mcpTool || '') === approval.mcpTool && (a.url || '') === approval.url);
+    if (!exists) approvals.push(approval);
+    await globalContext.globalState.update(APPROVALS_KEY, approvals);
+    policyEngine.setApprovals(approvals);
+    log(`[Policy] Always allowing "${event.label}"${event.command ? ` (${displayCommand(event.command).substring(0, 80)})` : ''}: ${approvals.length} approvals`);
+    await cdpHandler.clearDecisions();
+}
+
+// --- ACTION BUDGET ---
+// Every auto-run command and auto-applied edit counts; reaching a cap turns Auto Accept off
+
+function countAgainstBudget(event) {
+    if (!isEnabled) return;
+    const cap = actionBudget.record(event.actionType, `${event.id}|${event.tab || ''}`);
+    if (cap) pauseForBudget(cap, event);
+}
+
+// "50/50 commands this session"
+function describeCap(cap) {
+    return `${cap.count}/${cap.limit} ${cap.noun}s ${cap.scopeLabel}`;
+}
+
+async function pauseForBudget(cap, event) {
+    if (!isEnabled || !globalContext) return;
+    budgetPause = cap;
+    isEnabled = false;
+    await settings.update('enabled', false);
+    updateStatusBar();
+    stopPolling().catch(() => { });
+
+    const where = cap.scope === 'conversation' && event && event.tab ? ` ("${event.tab}")` : '';
+    log(`[Budget] Paused: ${describeCap(cap)}${where}`);
+    const choice = await vscode.window.showWarningMessage(
+        `Auto Accept paused itself: ${describeCap(cap)}${where}. Turn it back on to start a new session.`,
+        'Turn On', 'Change Limits'
+    );
+    if (choice === 'Turn On' && !isEnabled) {
+        await handleToggle(globalContext);
+    } else if (choice === 'Change Limits') {
+        vscode.commands.executeCommand('workbench.action.openSettings', 'autoAccept.budget');
+    }
+}
+
+async function showCircuitBreakerNotification(event) {
+    if (!cdpHandler) return;
+    const where = event.tab ? `"${event.tab}"` : 'the current conversation';
+    const what = event.command ? `\`${displayCommand(event.command).substring(0, 80)}\`` : `"${event.label}"`;
+    const minutes = Math.round(event.windowMs / 60000);
+    const choices = event.tab ? ['Resume', 'Open conversation'] : ['Resume'];
+
+    const choice = await vscode.window.showWarningMessage(
+        `Auto Accept paused ${where}: ${what} was clicked ${event.count} times in ${minutes} minute${minutes === 1 ? '' : 's'}. The agent may be stuck in a loop.`,
+        ...choices
+    );
+    try {
+        if (choice === 'Resume') {
+            await cdpHandler.resumeConversation(event.id, event.tab);
+            log(`[Page] Resumed "${event.tab || 'current conversation'}" on ${event.id}`);
+        } else if (choice === 'Open conversation') {
+            await cdpHandler.openConversation(event.id, event.tab);
+        }
+    } catch (e) {
+        log(`[Page] Could not apply answer for "${event.tab}" on ${event.id}: ${e.message}`);
+    }
+}
+
+function audit(event, fields) {
+    if (!auditLog) return;
+    auditLog.append({
+        ide: currentIDE,
+        target: event.id,
+        tab: event.tab || null,
+        label: event.label,
+        command: event.command ? redactSecrets(event.command) : null,
+        file: event.file || null,
+        diff: event.diff || null,
+        ...(event.actionType === 'mcp' ? {
+            mcpServer: event.mcpServer || null,
+            mcpTool: event.mcpTool || null,
+            mcpArgs: event.mcpArgs ? redactSecrets(event.mcpArgs) : null
+        } : {}),
+        ...(event.actionType === 'browser' ? { url: event.url ? redactSecrets(event.url) : null } : {}),
+        ...fields
+    });
+}
+
+async function handleOpenAuditLog() {
+    const filePath = auditLog && auditLog.filePath;
+    if (!filePath || !auditLog.enabled) {
+        vscode.window.showInformationMessage('Auto Accept: the audit log is disabled (autoAccept.auditLog.enabled).');
+        return;
+    }
+    await auditLog.flush();
+    try {
+        const doc = await vscode.workspace.openTextDocument(vscode.Uri.file(filePath));
+        await vscode.window.showTextDocument(doc, { preview: true });
+    } catch (e) {
+        vscode.window.showInformationMessage(`Auto Accept: nothing has been recorded yet (${filePath}).`);
+    }
+}
+
 // --- "AWAY" ACTIONS NOTIFICATION ---
 // Called when user returns after window was minimized/unfocused
-async function showAwayActionsNotification(context, actionsCount) {
-    log(`[Notification] showAwayActionsNotification called with: ${actionsCount}`);
-    if (!actionsCount || actionsCount === 0) {
-        log(`[Notification] Away actions skipped: count is 0 or undefined`);
+
+// kind -> [singular, plural], in the order they appear in the summary
+const AWAY_ACTION_LABELS = {
+    edit: ['edit accepted', 'edits accepted'],
+    terminal: ['command run', 'commands run'],
+    retry: ['retry', 'retries'],
+    browser: ['browser action allowed', 'browser actions allowed'],
+    mcp: ['tool call allowed', 'tool calls allowed'],
+    confirm: ['prompt confirmed', 'prompts confirmed'],
+    blocked: ['command blocked', 'commands blocked'],
+    attention: ['conversation paused', 'conversations paused'],
+    completed: ['conversation completed', 'conversations completed']
+};
+
+function summarizeAwayActions(actions) {
+    const counts = {};
+    for (const action of actions) counts[action.kind] = (counts[action.kind] || 0) + 1;
+    return Object.keys(AWAY_ACTION_LABELS)
+        .filter(kind => counts[kind])
+        .map(kind => `${counts[kind]} ${AWAY_ACTION_LABELS[kind][counts[kind] > 1 ? 1 : 0]}`)
+        .join(', ');
+}
+
+// "github/create_issue", with "?" for a part the page could not read
+function describeTool(event) {
+    return `${event.mcpServer || '?'}/${event.mcpTool || '?'}`;
+}
+
+// " for tool github/create_issue" / " for https://x.io" in log lines, '' for other actions
+function describeTarget(event) {
+    if (event.actionType === 'mcp') return ` for tool ${describeTool(event)}`;
+    if (event.actionType === 'browser') return ` for ${event.url || 'an unknown URL'}`;
+    return '';
+}
+
+function formatDiff(diff) {
+    const size = `+${diff.added} −${diff.removed}${diff.files > 1 ? ` in ${diff.files} files` : ''}`;
+    return diff.deletesFile ? `${size}, deletes a file` : size;
+}
+
+// Command text as it may be logged or shown: one line, credentials masked
+function displayCommand(text) {
+    return redactSecrets(text).replace(/\s*\n\s*/g, '; ');
+}
+
+function formatAwayActionsMarkdown(actions) {
+    const lines = [`# Auto Accept: while you were away`, '', `${actions.length} action${actions.length > 1 ? 's' : ''}: ${summarizeAwayActions(actions)}.`, ''];
+    const describe = {
+        edit: a => `Accepted edit${a.file ? ` to \`${a.file}\`` : ''} ("${a.label}")`,
+        terminal: a => `Ran command${a.command ? `: \`${displayCommand(a.command)}\`` : ` ("${a.label}")`}`,
+        retry: a => `Retried ("${a.label}")`,
+        browser: a => `Allowed browser action${a.url ? ` on ${a.url}` : ''} ("${a.label}")`,
+        mcp: a => `Allowed tool call${a.mcpTool ? ` \`${describeTool(a)}\`` : ''} ("${a.label}")`,
+        confirm: a => `Confirmed ("${a.label}")`,
+        blocked: a => a.command
+            ? `Blocked command \`${displayCommand(a.command)}\` (matched \`${a.pattern}\`)`
+            : `Blocked "${a.label}"${a.file ? ` on \`${a.file}\`` : ''} (${a.pattern})`,
+        attention: a => `Paused ${a.tab}: "${a.label}" repeated ${a.count} times`,
+        completed: a => `Conversation completed: ${a.tab}`
+    };
+
+    for (const kind of Object.keys(AWAY_ACTION_LABELS)) {
+        const group = actions.filter(a => a.kind === kind);
+        if (group.length === 0) continue;
+        const title = AWAY_ACTION_LABELS[kind][1];
+        lines.push(`## ${title.charAt(0).toUpperCase()}${title.slice(1)} (${group.length})`, '');
+        for (const action of group) {
+            lines.push(`- ${new Date(action.ts).toLocaleTimeString()} — ${describe[kind](action)}`);
+        }
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+async function showAwayActionsNotification(context, actions) {
+    log(`[Notification] showAwayActionsNotification called with: ${actions ? actions.length : 0}`);
+    if (!actions || actions.length === 0) {
+        log(`[Notification] Away actions skipped: nothing recorded`);
         return;
     }
-    log(`[Notification] Showing away actions notification for ${actionsCount} actions`);
+    log(`[Notification] Showing away actions notification for ${actions.length} actions`);
 
-    const message = `Auto Accept handled ${actionsCount} action${actionsCount > 1 ? 's' : ''} while you were away.`;
-    const detail = `Agents stayed autonomous while you focused elsewhere.`;
+    const message = `Auto Accept handled ${actions.length} action${actions.length > 1 ? 's' : ''} while you were away.`;
+    const detail = `${summarizeAwayActions(actions)}.`;
 
     vscode.window.showInformationMessage(
         message,
         { detail },
+        'Show details',
         'View Dashboard'
-    ).then(choice => {
-        if (choice === 'View Dashboard') {
+    ).then(async choice => {
+        if (choice === 'Show details') {
+            const doc = await vscode.workspace.openTextDocument({ language: 'markdown', content: formatAwayActionsMarkdown(actions) });
+            await vscode.window.showTextDocument(doc, { preview: true });
+        } else if (choice === 'View Dashboard') {
             const panel = getSettingsPanel();
             if (panel) panel.createOrShow(context.extensionUri, context);
         }
@@ -681,9 +1422,9 @@ async function checkForAwayActions(context) {
     try {
         log(`[Away] Calling cdpHandler.getAwayActions()...`);
         const awayActions = await cdpHandler.getAwayActions();
-        log(`[Away] Got awayActions: ${awayActions}`);
-        if (awayActions > 0) {
-            log(`[Away] Detected ${awayActions} actions while user was away. Showing notification...`);
+        log(`[Away] Got ${awayActions.length} away actions`);
+        if (awayActions.length > 0) {
+            log(`[Away] Detected ${awayActions.length} actions while user was away. Showing notification...`);
             await showAwayActionsNotification(context, awayActions);
         } else {
             log(`[Away] No away actions to report`);
@@ -703,12 +1444,23 @@ function updateStatusBar() {
         let bgColor = undefined;
         let icon = '$(check)';
 
-        const cdpConnected = cdpHandler && cdpHandler.getConnectionCount() > 0;
+        const health = cdpHandler ? cdpHandler.getConnectionHealth() : null;
 
-        if (cdpConnected) {
-            tooltip += ' (CDP Connected)';
+        if (health && health.total > 0) {
+            tooltip += ` (CDP: ${health.healthy}/${health.total} targets healthy)`;
+            if (health.degraded > 0) tooltip += `\n${health.degraded} degraded`;
+            if (health.connecting > 0) tooltip += `\n${health.connecting} reconnecting`;
+            if (health.dead > 0) tooltip += `\n${health.dead} unreachable`;
+            statusText = `ON (${health.healthy}/${health.total})`;
         }
 
+        if (sessionTelemetry.clicks > 0 || sessionTelemetry.blocked > 0) {
+            tooltip += `\nThis session: ${sessionTelemetry.clicks} accepted, ${sessionTelemetry.blocked} blocked`;
+        }
+
+        const budget = actionBudget.describe();
+        if (budget.length > 0) tooltip += `\nBudget:\n${budget.join('\n')}`;
+
         if (isLockedOut) {
             statusText = 'PAUSED (Multi-window)';
             bgColor = new vscode.ThemeColor('statusBarItem.warningBackground');
@@ -740,6 +1492,14 @@ function updateStatusBar() {
             statusBackgroundItem.show();
         }
 
+    } else if (budgetPause) {
+        statusBarItem.text = `$(debug-pause) Auto Accept: PAUSED (${budgetPause.count}/${budgetPause.limit} ${budgetPause.noun}s)`;
+        statusBarItem.tooltip = `Auto Accept paused itself: ${describeCap(budgetPause)}.\n${actionBudget.describe().join('\n')}\nClick to turn it back on.`;
+        statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+
+        if (statusBackgroundItem) {
+            statusBackgroundItem.hide();
+        }
     } else {
         statusBarItem.text = '$(circle-slash) Auto Accept: OFF';
         statusBarItem.tooltip = 'Click to enable Auto Accept.';
@@ -0,0 +1,149 @@
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+
+const DEFAULT_TIMEOUT = 2000;
+
+/**
+ * An exception thrown inside the page by Runtime.evaluate, built from CDP `exceptionDetails`.
+ * Line and column are 1-based (CDP reports them 0-based).
+ */
+class CDPEvaluationError extends Error {
+    constructor(exceptionDetails) {
+        const details = exceptionDetails || {};
+        const exception = details.exception || {};
+        const description = exception.description || exception.value || details.text || 'Unknown exception';
+        super(String(description).split('\n')[0]);
+
+        this.name = 'CDPEvaluationError';
+        this.lineNumber = (details.lineNumber || 0) + 1;
+        this.columnNumber = (details.columnNumber || 0) + 1;
+        this.url = details.url || null;
+        this.pageStack = CDPEvaluationError.formatStack(details, description);
+    }
+
+    static formatStack(details, description) {
+        const frames = details.stackTrace && details.stackTrace.callFrames;
+        if (frames && frames.length > 0) {
+            return frames
+                .map(f => `    at ${f.functionName || '<anonymous>'} (${f.url || '<eval>'}:${f.lineNumber + 1}:${f.columnNumber + 1})`)
+                .join('\n');
+        }
+        // exception.description already carries a V8-formatted stack for Error objects
+        const lines = String(description).split('\n').slice(1);
+        return lines.length > 0 ? lines.join('\n') : null;
+    }
+
+    toString() {
+        const where = `line ${this.lineNumber}, col ${this.columnNumber}`;
+        return `${this.message} (${where})${this.pageStack ? `\n${this.pageStack}` : ''}`;
+    }
+}
+
+/**
+ * A single CDP WebSocket with one multiplexed message router.
+ *
+ * Every frame is parsed exactly once. Responses are matched to their request
+ * through a pending map keyed by `id`; everything else is a CDP event and is
+ * emitted under its method name (e.g. 'Target.targetCreated').
+ *
+ * Usage:
+ *   const cdp = new CDPConnection(url);
+ *   if (await cdp.open()) {
+ *       cdp.on('Runtime.bindingCalled', params => ...);
+ *       const result = await cdp.send('Runtime.evaluate', { expression: '1 + 1' });
+ *   }
+ */
+class CDPConnection extends EventEmitter {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.ws = null;
+        this.msgId = 1;
+        this.pending = new Map(); // id -> {method, resolve, reject, timer, sentAt}
+        this.latency = null; // ms, round-trip of the last answered call
+    }
+
+    get isOpen() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    /** Resolves true once the socket is open, false if it could not connect. */
+    open() {
+        return new Promise((resolve) => {
+            const ws = new WebSocket(this.url);
+            this.ws = ws;
+            ws.on('open', () => resolve(true));
+            ws.on('message', (data) => this._onMessage(data));
+            ws.on('error', () => resolve(false));
+            ws.on('close', () => {
+                this._rejectAll(new Error('CDP connection closed'));
+                this.emit('close');
+            });
+        });
+    }
+
+    /**
+     * Send a CDP command and resolve with its `result`.
+     * The pending entry is always removed, whether the call answers, errors or times out.
+     */
+    send(method, params = {}, timeout = DEFAULT_TIMEOUT) {
+        if (!this.isOpen) return Promise.reject(new Error(`CDP not connected (${method})`));
+
+        return new Promise((resolve, reject) => {
+            const id = this.msgId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`CDP Timeout (${method})`));
+            }, timeout);
+
+            this.pending.set(id, { method, resolve, reject, timer, sentAt: Date.now() });
+
+            try {
+                this.ws.send(JSON.stringify({ id, method, params }));
+            } catch (e) {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(e);
+            }
+        });
+    }
+
+    close() {
+        if (!this.ws) return;
+        try { this.ws.close(); } catch (e) { }
+    }
+
+    _onMessage(data) {
+        let msg;
+        try { msg = JSON.parse(data.toString()); } catch (e) { return; }
+
+        if (msg.id !== undefined) {
+            const entry = this.pending.get(msg.id);
+            if (!entry) return; // Late answer for a call that already timed out
+            this.pending.delete(msg.id);
+            clearTimeout(entry.timer);
+            this.latency = Date.now() - entry.sentAt;
+
+            if (msg.error) {
+                entry.reject(new Error(`${entry.method}: ${msg.error.message}`));
+            } else {
+                entry.resolve(msg.result);
+            }
+            return;
+        }
+
+        if (msg.method) {
+            this.emit(msg.method, msg.params || {});
+        }
+    }
+
+    _rejectAll(err) {
+        for (const [, entry] of this.pending) {
+            clearTimeout(entry.timer);
+            entry.reject(err);
+        }
+        this.pending.clear();
+    }
+}
+
+module.exports = { CDPConnection, CDPEvaluationError };
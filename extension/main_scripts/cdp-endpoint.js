@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 9000;
+const DEFAULT_PORT_RANGE = 3; // 9000 +/- 3
+
+/**
+ * Normalize the `autoAccept.cdp.*` settings into one endpoint description.
+ * `port` is the port the setup scripts write into the IDE shortcut;
+ * the handler scans port +/- portRange plus any additional ports.
+ */
+function normalizeEndpoint(settings = {}) {
+    const port = toPort(settings.port) || DEFAULT_PORT;
+    const range = Number.isInteger(settings.portRange) && settings.portRange >= 0 ? settings.portRange : DEFAULT_PORT_RANGE;
+    const additionalPorts = (Array.isArray(settings.additionalPorts) ? settings.additionalPorts : [])
+        .map(toPort)
+        .filter(Boolean);
+
+    return {
+        host: (settings.host || '').trim() || DEFAULT_HOST,
+        port,
+        portRange: range,
+        additionalPorts,
+        useDevToolsActivePort: settings.useDevToolsActivePort !== false,
+        userDataDir: settings.userDataDir || null
+    };
+}
+
+function toPort(value) {
+    const n = parseInt(value, 10);
+    return n > 0 && n < 65536 ? n : null;
+}
+
+/**
+ * Electron writes the actual debugging port to `<userDataDir>/DevToolsActivePort`
+ * (line 1: port, line 2: browser target path) when launched with a debugging flag.
+ */
+function readDevToolsActivePort(userDataDir) {
+    if (!userDataDir) return null;
+    try {
+        const content = fs.readFileSync(path.join(userDataDir, 'DevToolsActivePort'), 'utf8');
+        return toPort(content.split(/\r?\n/)[0]);
+    } catch (e) {
+        return null;
+    }
+}
+
+/** Ports to probe, most likely first: DevToolsActivePort, configured port, range, extras. */
+function getScanPorts(endpoint) {
+    const ports = [];
+    if (endpoint.useDevToolsActivePort) {
+        const active = readDevToolsActivePort(endpoint.userDataDir);
+        if (active) ports.push(active);
+    }
+    ports.push(endpoint.port);
+    for (let offset = 1; offset <= endpoint.portRange; offset++) {
+        ports.push(endpoint.port - offset, endpoint.port + offset);
+    }
+    ports.push(...endpoint.additionalPorts);
+    return [...new Set(ports.filter(toPort))];
+}
+
+/** Human-readable port summary for logs and "CDP not found" messages. */
+function describePorts(endpoint) {
+    let text = endpoint.portRange > 0 ? `${endpoint.port} +/- ${endpoint.portRange}` : `${endpoint.port}`;
+    if (endpoint.additionalPorts.length > 0) text += `, ${endpoint.additionalPorts.join(', ')}`;
+    return `${endpoint.host}:${text}`;
+}
+
+/**
+ * VS Code's globalStorage lives at `<userDataDir>/User/globalStorage/<extension-id>`,
+ * which is the only reliable way to find the IDE's user-data dir from an extension.
+ */
+function userDataDirFromGlobalStorage(globalStoragePath) {
+    if (!globalStoragePath) return null;
+    return path.resolve(globalStoragePath, '..', '..', '..');
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    normalizeEndpoint,
+    readDevToolsActivePort,
+    getScanPorts,
+    describePorts,
+    userDataDirFromGlobalStorage
+};
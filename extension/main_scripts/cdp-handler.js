@@ -1,45 +1,102 @@
-const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
+const { CDPConnection, CDPEvaluationError } = require('./cdp-connection');
+const { ConnectionManager } = require('./connection-manager');
+const { normalizeEndpoint, getScanPorts, describePorts } = require('./cdp-endpoint');
 
-const BASE_PORT = 9000;
-const PORT_RANGE = 3; // 9000 +/- 3
+const REINJECT_DELAY_MS = 300; // Let a reloaded page settle before re-injecting
+const INJECT_RETRY_BASE_MS = 2000;
+const INJECT_RETRY_MAX_MS = 60000;
 
-// Load the unified auto_accept.js script once
+// Page -> extension channel (Runtime.addBinding); the page calls window.__autoAcceptEmit(json)
+const TELEMETRY_BINDING = '__autoAcceptEmit';
+
+// Build the injected script once: modules/NN_*.js concatenated in order inside one IIFE
 let _autoAcceptScript = null;
 function getAutoAcceptScript() {
     if (_autoAcceptScript) return _autoAcceptScript;
 
     const candidates = [
-        path.join(__dirname, 'auto_accept.js'),
-        path.join(__dirname, '..', 'main_scripts', 'auto_accept.js')
+        path.join(__dirname, 'modules'),
+        path.join(__dirname, '..', 'main_scripts', 'modules')
     ];
 
-    for (const p of candidates) {
-        if (fs.existsSync(p)) {
-            _autoAcceptScript = fs.readFileSync(p, 'utf8');
+    for (const dir of candidates) {
+        if (fs.existsSync(dir)) {
+            const files = fs.readdirSync(dir).filter(f => /^\d+_.*\.js$/.test(f)).sort();
+            const body = files.map(f => `// ---- ${f} ----\n${fs.readFileSync(path.join(dir, f), 'utf8')}`).join('\n');
+            const version = crypto.createHash('sha1').update(body).digest('hex').substring(0, 12);
+            // A new socket to a page that was not reloaded injects again: the same script keeps the
+            // running loop and its state (pending escalations); a different one replaces it
+            const guard = `if (window.__autoAcceptScriptVersion === '${version}') return;\n`
+                + `if (window.__autoAcceptStop) window.__autoAcceptStop();\n`
+                + `window.__autoAcceptScriptVersion = '${version}';`;
+            _autoAcceptScript = `(function() {\n'use strict';\nif (typeof window === 'undefined') return;\n${guard}\n${body}\n})();`;
             return _autoAcceptScript;
         }
     }
 
-    throw new Error(`Could not find auto_accept.js. __dirname=${__dirname}`);
+    throw new Error(`Could not find injected script modules. __dirname=${__dirname}`);
+}
+
+// Only real pages and webviews get the script; never DevTools itself
+function isInjectableTarget(target) {
+    if (target.type !== 'page' && target.type !== 'webview') return false;
+    const url = (target.url || '').toLowerCase();
+    if (url.startsWith('devtools://') || url.startsWith('chrome-devtools://') || url.includes('devtools/devtools')) return false;
+    return true;
 }
 
-class CDPHandler {
+/**
+ * Events:
+ *   'health'         — (summary) whenever a target changes state, see getConnectionHealth()
+ *   'telemetry'      — ({id, type, ts, ...}) pushed by the page: click, blocked, completed, error
+ *   'injectionError' — ({id, error, attempts, retryInMs}) injection or __autoAcceptStart failed;
+ *                      `error` is a CDPEvaluationError when the page threw
+ */
+class CDPHandler extends EventEmitter {
     constructor(logger = console.log) {
+        super();
         this.logger = logger;
-        this.connections = new Map(); // port:pageId -> {ws, injected, mode}
+        // port:pageId -> {cdp, state, injected, mode, ...}
+        this.connections = new ConnectionManager(logger, { onOpen: (conn) => this._onConnectionOpen(conn) });
+        this.connections.on('change', () => this.emit('health', this.getConnectionHealth()));
+        this.browserSessions = new Map(); // port -> {cdp, wsBase}
+        this.config = null;
+        this.endpoint = normalizeEndpoint();
         this.isEnabled = false;
-        this.msgId = 1;
+        this.isFocused = true;
+        this.statsSnapshots = new Map(); // id -> last __autoAcceptGetStats() result, survives reconnects
     }
 
     log(msg) {
         this.logger(`[CDP] ${msg}`);
     }
 
+    /**
+     * Apply `autoAccept.cdp.*` settings (host, port, portRange, additionalPorts,
+     * useDevToolsActivePort, userDataDir). Sessions on the old host are dropped.
+     */
+    setEndpoint(settings) {
+        const previousHost = this.endpoint.host;
+        this.endpoint = normalizeEndpoint(settings);
+        this.log(`Endpoint: ${describePorts(this.endpoint)}${this.endpoint.useDevToolsActivePort ? ' (+ DevToolsActivePort)' : ''}`);
+
+        if (previousHost !== this.endpoint.host) {
+            for (const [, session] of this.browserSessions) session.cdp.close();
+            this.browserSessions.clear();
+        }
+    }
+
+    describePorts() {
+        return describePorts(this.endpoint);
+    }
+
     async isCDPAvailable() {
-        for (let port = BASE_PORT - PORT_RANGE; port <= BASE_PORT + PORT_RANGE; port++) {
+        for (const port of getScanPorts(this.endpoint)) {
             try {
                 const pages = await this._getPages(port);
                 if (pages.length > 0) return true;
@@ -50,19 +107,36 @@ class CDPHandler {
 
     async start(config) {
         this.isEnabled = true;
-        this.log(`Scanning ports ${BASE_PORT - PORT_RANGE} to ${BASE_PORT + PORT_RANGE}...`);
+        this.config = config;
+        const ports = getScanPorts(this.endpoint);
+        this.log(`Scanning ${this.endpoint.host} ports ${ports.join(', ')}...`);
         this.log(`Config: bg=${config.isBackgroundMode}, pro=${config.isPro}, ide=${config.ide}`);
 
-        for (let port = BASE_PORT - PORT_RANGE; port <= BASE_PORT + PORT_RANGE; port++) {
+        for (const port of ports) {
+            if (!this.browserSessions.has(port)) {
+                await this._openBrowserSession(port);
+            }
+
+            // Event-driven: targets arrive via Target.* events, just push the current config
+            if (this.browserSessions.has(port)) {
+                for (const [id] of this.connections.openEntries()) {
+                    if (id.startsWith(`${port}:`)) await this._inject(id, config);
+                }
+                continue;
+            }
+
+            // Fallback: HTTP polling of /json/list
             try {
-                const pages = await this._getPages(port);
+                const pages = await this._listPages(port);
+                if (!pages) continue;
+                this._pruneTargets(port, pages);
                 if (pages.length > 0) {
                     this.log(`Port ${port}: Found ${pages.length} page(s):`);
                     pages.forEach((p, i) => this.log(`  [${i}] type=${p.type} title="${(p.title || '').substring(0, 50)}" url=${(p.url || '').substring(0, 80)}`));
                 }
                 for (const page of pages) {
                     const id = `${port}:${page.id}`;
-                    if (!this.connections.has(id)) {
+                    if (!this.connections.isConnected(id)) {
                         await this._connect(id, page.webSocketDebuggerUrl);
                     }
                     await this._inject(id, config);
@@ -73,62 +147,231 @@ class CDPHandler {
 
     async stop() {
         this.isEnabled = false;
-        for (const [id, conn] of this.connections) {
+        for (const [, session] of this.browserSessions) {
+            session.cdp.close();
+        }
+        this.browserSessions.clear();
+        for (const [id, conn] of this.connections.openEntries()) {
             try {
                 await this._evaluate(id, 'if(window.__autoAcceptStop) window.__autoAcceptStop()');
                 conn.mode = null;
-                conn.ws.close();
+                conn.startConfig = null;
             } catch (e) { }
         }
-        this.connections.clear();
+        this.connections.closeAll();
     }
 
     async _getPages(port) {
-        return new Promise((resolve, reject) => {
-            const req = http.get({ hostname: '127.0.0.1', port, path: '/json/list', timeout: 500 }, (res) => {
+        return (await this._listPages(port)) || [];
+    }
+
+    /** Injectable targets on a port, or null when /json/list could not be read. */
+    async _listPages(port) {
+        return new Promise((resolve) => {
+            const req = http.get({ hostname: this.endpoint.host, port, path: '/json/list', timeout: 500 }, (res) => {
                 let body = '';
                 res.on('data', chunk => body += chunk);
                 res.on('end', () => {
                     try {
                         const pages = JSON.parse(body);
-                        const filtered = pages.filter(p => {
-                            if (!p.webSocketDebuggerUrl) return false;
-                            if (p.type !== 'page' && p.type !== 'webview') return false;
-                            const url = (p.url || '').toLowerCase();
-                            if (url.startsWith('devtools://') || url.startsWith('chrome-devtools://') || url.includes('devtools/devtools')) return false;
-                            return true;
-                        });
-                        resolve(filtered);
-                    } catch (e) { resolve([]); }
+                        resolve(pages.filter(p => p.webSocketDebuggerUrl && isInjectableTarget(p)));
+                    } catch (e) { resolve(null); }
                 });
             });
-            req.on('error', () => resolve([]));
-            req.on('timeout', () => { req.destroy(); resolve([]); });
+            req.on('error', () => resolve(null));
+            req.on('timeout', () => { req.destroy(); resolve(null); });
         });
     }
 
-    async _connect(id, url) {
+    // Without Target events nobody reports closed pages: drop what /json/list no longer shows
+    _pruneTargets(port, pages) {
+        const listed = new Set(pages.map(page => `${port}:${page.id}`));
+        for (const id of this.connections.ids()) {
+            if (!id.startsWith(`${port}:`) || listed.has(id)) continue;
+            this.log(`Target gone: ${id}`);
+            this.connections.remove(id);
+            this.statsSnapshots.delete(id);
+        }
+    }
+
+    async _getVersion(port) {
         return new Promise((resolve) => {
-            const ws = new WebSocket(url);
-            ws.on('open', () => {
-                this.connections.set(id, { ws, injected: false, mode: null });
-                this.log(`Connected to page ${id}`);
-                resolve(true);
-            });
-            ws.on('error', () => resolve(false));
-            ws.on('close', () => {
-                this.connections.delete(id);
-                this.log(`Disconnected from page ${id}`);
+            const req = http.get({ hostname: this.endpoint.host, port, path: '/json/version', timeout: 500 }, (res) => {
+                let body = '';
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => {
+                    try { resolve(JSON.parse(body)); } catch (e) { resolve(null); }
+                });
             });
+            req.on('error', () => resolve(null));
+            req.on('timeout', () => { req.destroy(); resolve(null); });
         });
     }
 
-    async _inject(id, config) {
+    /**
+     * Open one browser-level session per port and subscribe to target discovery,
+     * so new pages and webviews are injected as soon as they appear.
+     */
+    async _openBrowserSession(port) {
+        const version = await this._getVersion(port);
+        if (!version || !version.webSocketDebuggerUrl) return false;
+
+        // ws://host:port/devtools/browser/<id> -> ws://host:port
+        const wsBase = version.webSocketDebuggerUrl.replace(/\/devtools\/browser\/.*$/, '');
+
+        const cdp = new CDPConnection(version.webSocketDebuggerUrl);
+        if (!await cdp.open()) return false;
+
+        this.browserSessions.set(port, { cdp, wsBase });
+        this.log(`Browser session opened on port ${port}, discovering targets...`);
+
+        const onTarget = ({ targetInfo }) => this._onTargetAvailable(port, targetInfo).catch(() => { });
+        cdp.on('Target.targetCreated', onTarget);
+        cdp.on('Target.targetInfoChanged', onTarget);
+        cdp.on('Target.targetDestroyed', ({ targetId }) => this._onTargetDestroyed(port, targetId));
+        cdp.on('close', () => {
+            if (this.browserSessions.get(port)?.cdp === cdp) {
+                this.browserSessions.delete(port);
+                this.log(`Browser session closed on port ${port}, falling back to polling`);
+            }
+        });
+
+        try {
+            await cdp.send('Target.setDiscoverTargets', { discover: true });
+        } catch (e) {
+            this.log(`Target discovery failed on port ${port}: ${e.message}`);
+            cdp.close();
+            return false;
+        }
+        return true;
+    }
+
+    async _onTargetAvailable(port, targetInfo) {
+        if (!this.isEnabled || !this.config || !isInjectableTarget(targetInfo)) return;
+
+        const id = `${port}:${targetInfo.targetId}`;
+        const session = this.browserSessions.get(port);
+        if (!session) return;
+
+        if (!this.connections.get(id)) {
+            this.log(`Target appeared: type=${targetInfo.type} title="${(targetInfo.title || '').substring(0, 50)}"`);
+        }
+        // No-op while connected or backing off; revives dead targets
+        if (await this._connect(id, `${session.wsBase}/devtools/page/${targetInfo.targetId}`)) {
+            await this._inject(id, this.config);
+        }
+    }
+
+    _onTargetDestroyed(port, targetId) {
+        const id = `${port}:${targetId}`;
+        if (!this.connections.get(id)) return;
+        this.log(`Target destroyed: ${id}`);
+        this.connections.remove(id);
+        this.statsSnapshots.delete(id);
+    }
+
+    async _connect(id, url) {
+        return this.connections.connect(id, url);
+    }
+
+    /**
+     * Runs after every (re)connect: a new socket means a fresh view of the page,
+     * so injection state is reset and the current config is pushed again.
+     */
+    async _onConnectionOpen(conn) {
+        const { id, cdp } = conn;
+        Object.assign(conn, { injected: false, mode: null, startConfig: null, mainFrameId: null, contextId: null, generation: 0, injectFailure: null });
+        cdp.on('close', () => {
+            clearTimeout(conn.reinjectTimer);
+            this.log(`Disconnected from page ${id}`);
+        });
+
+        await this._watchContexts(id, conn);
+        if (this.isEnabled && this.config) await this._inject(id, this.config);
+    }
+
+    /**
+     * Track the main frame's execution context so a reload or navigation
+     * (which wipes window.__autoAccept*) triggers a fresh injection.
+     */
+    async _watchContexts(id, conn) {
+        const { cdp } = conn;
+
+        cdp.on('Runtime.executionContextCreated', ({ context }) => {
+            const aux = context.auxData || {};
+            if (!aux.isDefault) return;
+            if (!conn.mainFrameId) conn.mainFrameId = aux.frameId;
+            if (aux.frameId !== conn.mainFrameId) return;
+
+            const previous = conn.contextId;
+            conn.contextId = context.id;
+            if (previous !== null && previous !== context.id) {
+                this._onContextReset(id, `new execution context ${context.id}`);
+            }
+        });
+        cdp.on('Runtime.executionContextsCleared', () => this._onContextReset(id, 'contexts cleared'));
+        cdp.on('Page.frameNavigated', ({ frame }) => {
+            if (!frame.parentId) this._onContextReset(id, `navigated to ${(frame.url || '').substring(0, 80)}`);
+        });
+
+        try {
+            await cdp.send('Page.enable');
+            const { frameTree } = await cdp.send('Page.getFrameTree');
+            conn.mainFrameId = frameTree.frame.id;
+        } catch (e) {
+            this.log(`Page domain unavailable on ${id}: ${e.message}`);
+        }
+        try {
+            await cdp.send('Runtime.enable');
+        } catch (e) {
+            this.log(`Runtime domain unavailable on ${id}: ${e.message}`);
+        }
+
+        // Bindings survive reloads, so one addBinding per socket covers every future context
+        cdp.on('Runtime.bindingCalled', ({ name, payload }) => {
+            if (name === TELEMETRY_BINDING) this._onTelemetry(id, payload);
+        });
+        try {
+            await cdp.send('Runtime.addBinding', { name: TELEMETRY_BINDING });
+        } catch (e) {
+            this.log(`Telemetry binding unavailable on ${id}: ${e.message}`);
+        }
+    }
+
+    _onTelemetry(id, payload) {
+        let event;
+        try { event = JSON.parse(payload); } catch (e) { return; }
+        if (!event || typeof event.type !== 'string') return;
+        this.emit('telemetry', { ...event, id });
+    }
+
+    _onContextReset(id, reason) {
         const conn = this.connections.get(id);
         if (!conn) return;
 
+        conn.generation++;
+        conn.injected = false;
+        conn.mode = null;
+        conn.startConfig = null;
+        if (conn.injectFailure) conn.injectFailure.retryAt = 0; // Fresh context, worth trying right away
+
+        clearTimeout(conn.reinjectTimer);
+        conn.reinjectTimer = setTimeout(() => {
+            if (!this.isEnabled || !this.config || this.connections.get(id) !== conn) return;
+            this.log(`Context reset on ${id} (${reason}), re-injecting...`);
+            this._inject(id, this.config);
+        }, REINJECT_DELAY_MS);
+    }
+
+    async _inject(id, config) {
+        const conn = this.connections.get(id);
+        if (!conn || !conn.cdp || conn.injecting) return;
+        if (conn.injectFailure && Date.now() < conn.injectFailure.retryAt) return;
+
         const mode = (config.isBackgroundMode && config.isPro) ? 'background' : 'simple';
+        const generation = conn.generation;
 
+        conn.injecting = true;
         try {
             // Step 1: Inject script if not already injected
             if (!conn.injected) {
@@ -137,6 +380,10 @@ class CDPHandler {
                 await this._evaluate(id, script);
                 conn.injected = true;
                 this.log(`Script injected into ${id}`);
+                // A fresh page assumes focus; keep recording away actions if we are in the background
+                if (this.isFocused === false) {
+                    await this._evaluate(id, 'window.__autoAcceptSetFocusState(false)');
+                }
             }
 
             // Step 2: If mode changed, stop current mode first (this dismounts overlay too)
@@ -145,59 +392,174 @@ class CDPHandler {
                 await this._evaluate(id, 'if(window.__autoAcceptStop) window.__autoAcceptStop()');
             }
 
-            // Step 3: Start with current config (if mode changed or first time)
-            if (conn.mode !== mode) {
-                const configJson = JSON.stringify({
-                    ide: config.ide,
-                    isBackgroundMode: mode === 'background'
-                });
-                this.log(`Calling __autoAcceptStart on ${id} with ${configJson}`);
+            // Step 3: Start with current config (if mode or config changed, or first time)
+            const configJson = JSON.stringify({
+                ide: config.ide,
+                isBackgroundMode: mode === 'background',
+                pollInterval: config.pollInterval,
+                breaker: config.breaker,
+                readDiffStats: config.readDiffStats
+            });
+            if (conn.mode !== mode || conn.startConfig !== configJson) {
+                this.log(`Calling __autoAcceptStart on ${id} with ${configJson.substring(0, 200)}`);
                 await this._evaluate(id, `if(window.__autoAcceptStart) window.__autoAcceptStart(${configJson})`);
                 conn.mode = mode;
+                conn.startConfig = configJson;
+            }
+
+            if (conn.injectFailure) {
+                this.log(`Injection recovered on ${id} after ${conn.injectFailure.attempts} failure(s)`);
+                conn.injectFailure = null;
             }
         } catch (e) {
-            this.log(`Injection failed for ${id}: ${e.message}`);
+            // Leave injected/mode untouched for the failed step so the next sync retries it
+            const attempts = (conn.injectFailure ? conn.injectFailure.attempts : 0) + 1;
+            const retryInMs = Math.min(INJECT_RETRY_MAX_MS, INJECT_RETRY_BASE_MS * Math.pow(2, attempts - 1));
+            conn.injectFailure = { error: e, attempts, retryAt: Date.now() + retryInMs };
+
+            this.log(`Injection failed for ${id}: ${e.message} (attempt ${attempts}, retry in ${retryInMs}ms)`);
+            this.connections.recordFailure(id, e);
+            this.emit('injectionError', { id, error: e, attempts, retryInMs });
+        } finally {
+            conn.injecting = false;
+        }
+
+        // The context was replaced while we were injecting; start over in the new one
+        if (conn.generation !== generation) {
+            this._onContextReset(id, 'reset during injection');
         }
     }
 
-    async _evaluate(id, expression) {
+    /**
+     * Send any CDP command (DOM, Input, Page, ...) to a connected page.
+     */
+    async send(id, method, params = {}, timeout) {
         const conn = this.connections.get(id);
-        if (!conn || conn.ws.readyState !== WebSocket.OPEN) return;
-
-        return new Promise((resolve, reject) => {
-            const currentId = this.msgId++;
-            const timeout = setTimeout(() => reject(new Error('CDP Timeout')), 2000);
-
-            const onMessage = (data) => {
-                const msg = JSON.parse(data.toString());
-                if (msg.id === currentId) {
-                    conn.ws.off('message', onMessage);
-                    clearTimeout(timeout);
-                    resolve(msg.result);
-                }
-            };
-
-            conn.ws.on('message', onMessage);
-            conn.ws.send(JSON.stringify({
-                id: currentId,
-                method: 'Runtime.evaluate',
-                params: { expression, userGesture: true, awaitPromise: true }
-            }));
-        });
+        if (!conn || !conn.cdp) throw new Error(`No CDP connection for ${id}`);
+        return conn.cdp.send(method, params, timeout);
+    }
+
+    async _evaluate(id, expression, options = {}) {
+        const conn = this.connections.get(id);
+        if (!conn || !conn.cdp || !conn.cdp.isOpen) throw new Error(`No open CDP connection for ${id}`);
+
+        try {
+            const result = await conn.cdp.send('Runtime.evaluate', { expression, userGesture: true, awaitPromise: true, ...options });
+            this.connections.recordSuccess(id);
+            if (result && result.exceptionDetails) {
+                throw new CDPEvaluationError(result.exceptionDetails);
+            }
+            return result;
+        } catch (e) {
+            if (!(e instanceof CDPEvaluationError)) this.connections.recordFailure(id, e);
+            throw e;
+        }
+    }
+
+    /** Answer a page's 'decide' request. */
+    async resolveDecision(id, key, decision) {
+        await this._evaluate(id, `if(window.__autoAcceptResolve) window.__autoAcceptResolve(${JSON.stringify(key)}, ${JSON.stringify(decision)})`);
+    }
+
+    /** Click the reject button next to a blocked action. Resolves to false if it is gone. */
+    async rejectAction(id, key) {
+        const result = await this._evaluate(id, `window.__autoAcceptReject ? window.__autoAcceptReject(${JSON.stringify(key)}) : false`, { returnByValue: true });
+        return !!(result && result.result && result.result.value);
+    }
+
+    /** Switch the page to the named conversation tab. Resolves to false if no tab matches. */
+    async openConversation(id, name) {
+        const result = await this._evaluate(id, `window.__autoAcceptOpenConversation ? window.__autoAcceptOpenConversation(${JSON.stringify(name)}) : false`, { returnByValue: true });
+        return !!(result && result.result && result.result.value);
+    }
+
+    /** Clear the circuit breaker for a conversation that was marked "needs attention". */
+    async resumeConversation(id, name) {
+        const result = await this._evaluate(id, `window.__autoAcceptResumeConversation ? window.__autoAcceptResumeConversation(${JSON.stringify(name)}) : false`, { returnByValue: true });
+        return !!(result && result.result && result.result.value);
+    }
+
+    /** The policy changed: make every page ask again. */
+    async clearDecisions() {
+        for (const [id] of this.connections.openEntries()) {
+            try {
+                await this._evaluate(id, 'if(window.__autoAcceptClearDecisions) window.__autoAcceptClearDecisions()');
+            } catch (e) { }
+        }
     }
 
     async setFocusState(isFocused) {
-        for (const [id] of this.connections) {
+        this.isFocused = isFocused;
+        for (const [id] of this.connections.openEntries()) {
             try {
                 await this._evaluate(id, `if(window.__autoAcceptSetFocusState) window.__autoAcceptSetFocusState(${isFocused})`);
             } catch (e) { }
         }
     }
 
-    getConnectionCount() { return this.connections.size; }
-    async getAwayActions() { return 0; }
+    /** Whether any page is connected and running the script. */
+    hasOpenTargets() {
+        return !this.connections.openEntries().next().done;
+    }
+
+    /**
+     * Per-target health: { total, healthy, degraded, connecting, dead, targets: [{id, state, lastError, latency, reconnectAttempts}] }
+     */
+    getConnectionHealth() {
+        return this.connections.getHealth();
+    }
+
+    /**
+     * Counters accumulated by every page since the previous call:
+     * { clicks, blocked, byType: { edit, terminal, retry, allow } }.
+     * A page whose state was recreated (reload, new window) counts from zero.
+     */
+    async collectStats() {
+        const delta = { clicks: 0, blocked: 0, byType: {} };
+        for (const [id] of this.connections.openEntries()) {
+            let current;
+            try {
+                const result = await this._evaluate(id,
+                    'window.__autoAcceptGetStats ? window.__autoAcceptGetStats() : null',
+                    { returnByValue: true });
+                current = result && result.result && result.result.value;
+            } catch (e) { continue; }
+            if (!current) continue;
+
+            const previous = this.statsSnapshots.get(id);
+            const base = previous && previous.instanceId === current.instanceId ? previous : { clicks: 0, blocked: 0, byType: {} };
+            delta.clicks += Math.max(0, current.clicks - base.clicks);
+            delta.blocked += Math.max(0, current.blocked - base.blocked);
+            for (const [type, count] of Object.entries(current.byType || {})) {
+                const diff = Math.max(0, count - (base.byType[type] || 0));
+                if (diff > 0) delta.byType[type] = (delta.byType[type] || 0) + diff;
+            }
+            this.statsSnapshots.set(id, current);
+        }
+        return delta;
+    }
+
+    /**
+     * Drain what every page recorded while the window was unfocused.
+     * Returns [{ kind, ts, label?, command?, pattern?, tab?, target }] sorted by time;
+     * kind is 'edit' | 'terminal' | 'retry' | 'allow' | 'blocked' | 'completed'.
+     */
+    async getAwayActions() {
+        const actions = [];
+        for (const [id] of this.connections.openEntries()) {
+            try {
+                const result = await this._evaluate(id,
+                    'window.__autoAcceptGetAwayActions ? window.__autoAcceptGetAwayActions() : []',
+                    { returnByValue: true });
+                const value = result && result.result && result.result.value;
+                if (Array.isArray(value)) actions.push(...value.map(a => ({ ...a, target: id })));
+            } catch (e) { }
+        }
+        return actions.sort((a, b) => a.ts - b.ts);
+    }
+
     async hideBackgroundOverlay() {
-        for (const [id] of this.connections) {
+        for (const [id] of this.connections.openEntries()) {
             try {
                 await this._evaluate(id, `
                     (function() {
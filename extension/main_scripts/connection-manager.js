@@ -0,0 +1,206 @@
+const { EventEmitter } = require('events');
+const { CDPConnection } = require('./cdp-connection');
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+const DEGRADED_LATENCY_MS = 1000;
+
+/**
+ * Owns the page-level CDP sockets and tracks the health of every target.
+ *
+ * Target states:
+ *   connecting — socket is opening, or waiting for a backoff retry
+ *   healthy    — open and the last call succeeded
+ *   degraded   — open, but the last call failed or was slow
+ *   dead       — gave up after MAX_RECONNECT_ATTEMPTS (revived when the target shows up again)
+ *
+ * Events:
+ *   'change' — any target changed state
+ */
+class ConnectionManager extends EventEmitter {
+    /**
+     * @param {Function} logger
+     * @param {Object} hooks
+     * @param {Function} hooks.onOpen - async (entry) => void, awaited after every (re)connect
+     */
+    constructor(logger = console.log, hooks = {}) {
+        super();
+        this.logger = logger;
+        this.onOpen = hooks.onOpen || (async () => { });
+        this.targets = new Map(); // port:pageId -> entry
+    }
+
+    log(msg) {
+        this.logger(`[CDP] ${msg}`);
+    }
+
+    get(id) {
+        return this.targets.get(id);
+    }
+
+    ids() {
+        return [...this.targets.keys()];
+    }
+
+    isConnected(id) {
+        const entry = this.targets.get(id);
+        return !!entry && !!entry.cdp && entry.cdp.isOpen;
+    }
+
+    /** Entries with an open socket. */
+    *openEntries() {
+        for (const [id, entry] of this.targets) {
+            if (entry.cdp && entry.cdp.isOpen) yield [id, entry];
+        }
+    }
+
+    /**
+     * Connect to a target. No-op while a socket is open or a backoff retry is pending;
+     * a dead target is revived with a fresh attempt counter.
+     */
+    async connect(id, url) {
+        let entry = this.targets.get(id);
+
+        if (entry && entry.state !== 'dead') {
+            entry.url = url;
+            if (entry.opening) return entry.opening;
+            return this.isConnected(id);
+        }
+
+        if (!entry) {
+            entry = {
+                id,
+                url,
+                cdp: null,
+                state: 'connecting',
+                lastError: null,
+                latency: null,
+                reconnectAttempts: 0,
+                retryTimer: null,
+                opening: null,
+                removed: false
+            };
+            this.targets.set(id, entry);
+        } else {
+            this.log(`Reviving dead target ${id}`);
+            entry.reconnectAttempts = 0;
+        }
+
+        return this._open(entry);
+    }
+
+    _open(entry) {
+        entry.retryTimer = null;
+        this._setState(entry, 'connecting');
+
+        entry.opening = (async () => {
+            const cdp = new CDPConnection(entry.url);
+            if (!await cdp.open()) {
+                if (!entry.removed) this._scheduleReconnect(entry, 'connect failed');
+                return false;
+            }
+            if (entry.removed) {
+                cdp.close();
+                return false;
+            }
+
+            entry.cdp = cdp;
+            entry.lastError = null;
+            cdp.on('close', () => {
+                if (entry.cdp !== cdp) return;
+                entry.cdp = null;
+                if (!entry.removed) this._scheduleReconnect(entry, 'socket closed');
+            });
+
+            this.log(`Connected to page ${entry.id}${entry.reconnectAttempts > 0 ? ` (after ${entry.reconnectAttempts} retries)` : ''}`);
+            entry.reconnectAttempts = 0;
+            this._setState(entry, 'healthy');
+
+            try {
+                await this.onOpen(entry);
+            } catch (e) {
+                this.recordFailure(entry.id, e);
+            }
+            return true;
+        })();
+
+        return entry.opening.finally(() => { entry.opening = null; });
+    }
+
+    _scheduleReconnect(entry, reason) {
+        entry.lastError = reason;
+        entry.reconnectAttempts++;
+
+        if (entry.reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+            this.log(`Giving up on ${entry.id} after ${MAX_RECONNECT_ATTEMPTS} attempts (${reason})`);
+            this._setState(entry, 'dead');
+            return;
+        }
+
+        // Full exponential backoff with jitter: 50-100% of base * 2^(n-1), capped
+        const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, entry.reconnectAttempts - 1));
+        const delay = Math.round(ceiling * (0.5 + Math.random() * 0.5));
+
+        this.log(`Lost ${entry.id} (${reason}), retry ${entry.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS} in ${delay}ms`);
+        this._setState(entry, 'connecting');
+        clearTimeout(entry.retryTimer);
+        entry.retryTimer = setTimeout(() => {
+            if (!entry.removed) this._open(entry);
+        }, delay);
+    }
+
+    /** A call on this target answered; latency decides healthy vs degraded. */
+    recordSuccess(id) {
+        const entry = this.targets.get(id);
+        if (!entry || !entry.cdp) return;
+        entry.latency = entry.cdp.latency;
+        this._setState(entry, entry.latency !== null && entry.latency > DEGRADED_LATENCY_MS ? 'degraded' : 'healthy');
+    }
+
+    recordFailure(id, err) {
+        const entry = this.targets.get(id);
+        if (!entry) return;
+        entry.lastError = err && err.message ? err.message : String(err);
+        if (entry.cdp && entry.cdp.isOpen) this._setState(entry, 'degraded');
+    }
+
+    /** Target is gone for good (destroyed or handler stopped): close without retrying. */
+    remove(id) {
+        const entry = this.targets.get(id);
+        if (!entry) return;
+        entry.removed = true;
+        clearTimeout(entry.retryTimer);
+        this.targets.delete(id);
+        if (entry.cdp) entry.cdp.close();
+        this.emit('change');
+    }
+
+    closeAll() {
+        for (const id of [...this.targets.keys()]) this.remove(id);
+    }
+
+    getHealth() {
+        const summary = { total: 0, healthy: 0, degraded: 0, connecting: 0, dead: 0, targets: [] };
+        for (const [id, entry] of this.targets) {
+            summary.total++;
+            summary[entry.state]++;
+            summary.targets.push({
+                id,
+                state: entry.state,
+                lastError: entry.lastError,
+                latency: entry.latency,
+                reconnectAttempts: entry.reconnectAttempts
+            });
+        }
+        return summary;
+    }
+
+    _setState(entry, state) {
+        if (entry.state === state) return;
+        entry.state = state;
+        this.emit('change');
+    }
+}
+
+module.exports = { ConnectionManager };
@@ -22,6 +22,9 @@ const SELECTORS = {
         '.chat-session-item'
     ],
 
+    // ACTIVE TAB — markers for the currently open conversation (matched against the tabs above)
+    activeTabMarkers: ['[aria-selected="true"]', '.selected', '.active'],
+
     // TAB NAVIGATION — ANTIGRAVITY
     antigravityTabs: 'button.grow',
 
@@ -51,7 +54,51 @@ const SELECTORS = {
     // COMMAND CONTEXT — for banned command scanning
     commandElements: ['pre', 'code', 'pre code'],
 
+    // FILE CONTEXT — file name shown in the diff / edit header above an Accept button
+    fileElements: [
+        '[data-path]',
+        '[data-file-path]',
+        '[data-uri]',
+        '.monaco-icon-label .label-name',   // VS Code file label (Cursor diff headers)
+        '[class*="filename"]',
+        '[class*="file-name"]',
+        '[class*="filePath"]',
+        '[class*="file-path"]'
+    ],
+    // Attributes that usually carry the full path; the element text is often just the basename
+    fileAttributes: ['data-path', 'data-file-path', 'data-uri', 'title', 'aria-label'],
+
+    // DIFF SIZE — the badge next to an edit: "+120 −45", "+3-0", or a deleted-file marker
+    diffStatElements: [
+        '[class*="diff-stat"]',
+        '[class*="diffStat"]',
+        '[class*="diff-summary"]',
+        '[class*="diffSummary"]',
+        '[class*="line-changes"]',
+        '[class*="lineChanges"]',
+        '[data-diff-stats]',
+        '[class*="deleted"]'
+    ],
+    deletedFileTexts: ['deleted', 'file deleted', 'delete file'],
+
     // BUTTON TEXT PATTERNS
     acceptPatterns: ['accept', 'run', 'retry', 'apply', 'execute', 'confirm', 'allow once', 'allow'],
-    rejectPatterns: ['skip', 'reject', 'cancel', 'close', 'refine']
+    rejectPatterns: ['skip', 'reject', 'cancel', 'close', 'refine'],
+
+    // BUTTON CATEGORIES — label words first, then (for permission prompts) the row the button sits in
+    retryPatterns:    ['retry'],
+    terminalPatterns: ['run', 'execute'],
+    confirmPatterns:  ['allow', 'confirm'],
+    mcpLabelPatterns: ['tool'],                                   // "Run tool", "Allow tool"
+    mcpElements:      ['[class*="mcp"]', '[class*="tool-call"]', '[class*="toolCall"]'],
+    mcpContextTexts:  ['mcp'],                                    // not "tool": browser prompts say it too
+    browserElements:  ['[class*="browser"]', 'webview'],
+
+    // BROWSER URL CONTEXT — attributes that may hold the URL a browser prompt asks about
+    browserUrlAttributes: ['data-url', 'href', 'title', 'aria-label'],
+
+    // MCP TOOL CONTEXT — server and tool name shown above a tool-call approval
+    mcpServerAttributes: ['data-mcp-server', 'data-server', 'data-server-name'],
+    mcpToolAttributes:   ['data-mcp-tool', 'data-tool', 'data-tool-name'],
+    browserContextTexts: ['browser', 'open url', 'navigate to', 'website', 'web page', 'webpage', 'http://', 'https://']
 };
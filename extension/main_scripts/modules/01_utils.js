@@ -9,6 +9,32 @@ const log = (msg) => {
     console.log(`[AutoAccept] ${msg}`);
 };
 
+/**
+ * Push an event to the extension host over the Runtime.addBinding channel.
+ * Silently dropped when the binding is not attached (e.g. pasted into DevTools).
+ */
+const emit = (type, data = {}) => {
+    try {
+        if (typeof window.__autoAcceptEmit === 'function') {
+            window.__autoAcceptEmit(JSON.stringify({ type, ts: Date.now(), ...data }));
+        }
+    } catch (e) { }
+};
+
+const MAX_AWAY_ACTIONS = 500;
+
+/**
+ * Remember an action for the "while you were away" summary.
+ * Only recorded while the IDE window is unfocused; drained by __autoAcceptGetAwayActions.
+ */
+const recordAwayAction = (kind, data = {}) => {
+    const state = window.__autoAcceptState;
+    if (!state || state.isFocused !== false) return;
+    if (!state.awayActions) state.awayActions = [];
+    if (state.awayActions.length >= MAX_AWAY_ACTIONS) state.awayActions.shift();
+    state.awayActions.push({ kind, ts: Date.now(), ...data });
+};
+
 const getDocuments = (root = document) => {
     let docs = [root];
     try {
@@ -8,8 +8,9 @@
  *   Event 1: mount/dismount overlay (black screen over AI panel)
  *   Event 2: loadTabsOntoOverlay (progress bars for each conversation)
  *   Event 3: markTabCompleted (purple → green transition)
+ *   Event 4: markTabNeedsAttention (circuit breaker tripped → amber)
  *
- * States: IN PROGRESS (purple) | COMPLETED (green)
+ * States: IN PROGRESS (purple) | COMPLETED (green) | NEEDS ATTENTION (amber)
  */
 
 const OVERLAY_STYLES = `
@@ -80,6 +81,11 @@ const OVERLAY_STYLES = `
         background: rgba(34, 197, 94, 0.15);
     }
 
+    .aab-slot.attention .aab-status {
+        color: #f59e0b;
+        background: rgba(245, 158, 11, 0.15);
+    }
+
     .aab-progress-track {
         height: 4px;
         background: rgba(255, 255, 255, 0.08);
@@ -104,6 +110,11 @@ const OVERLAY_STYLES = `
         background: linear-gradient(90deg, #22c55e, #16a34a);
     }
 
+    .aab-slot.attention .aab-progress-fill {
+        width: 100%;
+        background: linear-gradient(90deg, #f59e0b, #d97706);
+    }
+
     @keyframes pulse-progress {
         0%, 100% { opacity: 1; }
         50% { opacity: 0.6; }
@@ -204,8 +215,9 @@ function loadTabsOntoOverlay(tabNames) {
 
     tabNames.forEach(name => {
         const isCompleted = completionStatus[name] === 'done' || completionStatus[name] === true;
-        const stateClass = isCompleted ? 'completed' : 'in-progress';
-        const statusText = isCompleted ? 'COMPLETED' : 'IN PROGRESS';
+        const needsAttention = completionStatus[name] === 'attention';
+        const stateClass = needsAttention ? 'attention' : (isCompleted ? 'completed' : 'in-progress');
+        const statusText = needsAttention ? 'NEEDS ATTENTION' : (isCompleted ? 'COMPLETED' : 'IN PROGRESS');
 
         const slot = document.createElement('div');
         slot.className = `aab-slot ${stateClass}`;
@@ -262,6 +274,22 @@ function markTabCompleted(tabName) {
     }
 }
 
+/** EVENT 4: Mark a tab as needing attention (auto-clicking paused), or back to in progress */
+function markTabNeedsAttention(tabName, needsAttention = true) {
+    const container = document.getElementById(SELECTORS.overlayContainerId);
+    if (!container) return;
+
+    for (const slot of container.querySelectorAll('.aab-slot')) {
+        if (slot.getAttribute('data-name') !== tabName) continue;
+        log(`[FLOW] EVENT 4: "${tabName}" ${needsAttention ? 'needs attention' : 'resumed'}`);
+        slot.classList.remove('in-progress', 'completed', 'attention');
+        slot.classList.add(needsAttention ? 'attention' : 'in-progress');
+        const statusSpan = slot.querySelector('.aab-status');
+        if (statusSpan) statusSpan.textContent = needsAttention ? 'NEEDS ATTENTION' : 'IN PROGRESS';
+        break;
+    }
+}
+
 /** Tab name management — updates state and overlay */
 const updateTabNames = (tabs) => {
     const rawNames = Array.from(tabs).map(tab => stripTimeSuffix(tab.textContent));
@@ -292,5 +320,7 @@ const updateConversationCompletionState = (deduplicatedName, status) => {
         log(`[FLOW] Completion: "${deduplicatedName}" -> done`);
         window.__autoAcceptState.completionStatus[deduplicatedName] = 'done';
         markTabCompleted(deduplicatedName);
+        emit('completed', { tab: deduplicatedName, status });
+        recordAwayAction('completed', { tab: deduplicatedName, status });
     }
 };
@@ -2,99 +2,387 @@
  * 03_clicking.js — Button Clicking & Error Detection
  *
  * From background_loop_debug.js lines 88-184.
- * Plus banned command detection from the extension.
+ * Allow/deny/ask decisions come from the extension's policy engine.
  */
 
-// --- BANNED COMMAND DETECTION ---
+// --- COMMAND CONTEXT ---
+
+/**
+ * The command a Run button would execute: the last code block before the button within its own
+ * step (the nearest ancestors that hold no other Accept button). Earlier steps, other messages
+ * and the button's own label are never read, so they cannot block or unblock this command.
+ * Case is kept: flags like chmod -R vs -r mean different things.
+ */
 function findNearbyCommandText(el) {
-    let commandText = '';
+    let container = el.parentElement;
+    for (let depth = 0; container && depth < 6; depth++) {
+        const block = lastBlockBefore(container, el);
+        if (block) return block.textContent.trim();
+        const parent = container.parentElement;
+        if (!parent || parent === document.body || hasOtherAcceptButton(parent, el)) break;
+        container = parent;
+    }
+    return '';
+}
+
+function lastBlockBefore(container, el) {
+    const blocks = [...container.querySelectorAll(SELECTORS.commandElements.join(', '))]
+        .filter(block => !(block.parentElement && block.parentElement.closest('pre, code'))) // `pre code` is one block
+        .filter(block => !block.contains(el) && (block.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING))
+        .filter(block => block.textContent.trim());
+    return blocks.length > 0 ? blocks[blocks.length - 1] : null;
+}
+
+// --- FILE CONTEXT ---
 
+/** `file:///a/b.js`, `src/b.js:12-20` or `b.js (modified)` -> the path, or '' if it does not look like one. */
+function cleanFilePath(text) {
+    let value = String(text || '').trim();
+    if (value.startsWith('file://')) {
+        try { value = decodeURIComponent(value.replace(/^file:\/\/(localhost)?/, '')); } catch (e) { return ''; }
+        if (/^\/[a-zA-Z]:\//.test(value)) value = value.substring(1);   // /c:/x -> c:/x
+    }
+    value = value.replace(/\s+\(.*\)$/, '').replace(/:\d+(-\d+)?$/, '');
+    if (value.length === 0 || value.length > 300 || /\s/.test(value)) return '';
+    // A name with an extension, a dotfile, or something with a directory in it
+    return /[\/\\]/.test(value) || /^\.?[\w@+-][\w.@+-]*\.[\w-]+$/.test(value) || /^\.[\w.-]+$/.test(value) ? value : '';
+}
+
+/** File an edit button applies to, read from the diff / edit header around it. '' if none is found. */
+function findNearbyFilePath(el) {
     let container = el.parentElement;
-    let depth = 0;
-    while (container && depth < 10) {
-        let sibling = container.previousElementSibling;
-        let siblingCount = 0;
-        while (sibling && siblingCount < 5) {
-            if (sibling.tagName === 'PRE' || sibling.tagName === 'CODE') {
-                const text = sibling.textContent.trim();
-                if (text.length > 0) commandText += ' ' + text;
-            }
-            for (const selector of SELECTORS.commandElements) {
-                const codeElements = sibling.querySelectorAll(selector);
-                for (const codeEl of codeElements) {
-                    if (codeEl?.textContent) {
-                        const text = codeEl.textContent.trim();
-                        if (text.length > 0 && text.length < 5000) commandText += ' ' + text;
-                    }
+    for (let depth = 0; container && depth < 8; depth++) {
+        for (const selector of SELECTORS.fileElements) {
+            for (const fileEl of container.querySelectorAll(selector)) {
+                // Prefer a full path from an attribute over the visible basename
+                for (const attr of SELECTORS.fileAttributes) {
+                    const path = cleanFilePath(fileEl.getAttribute(attr));
+                    if (path) return path;
                 }
+                const path = cleanFilePath(fileEl.textContent);
+                if (path) return path;
             }
-            sibling = sibling.previousElementSibling;
-            siblingCount++;
         }
-        if (commandText.length > 10) break;
         container = container.parentElement;
-        depth++;
     }
+    return '';
+}
 
-    if (commandText.length === 0) {
-        let btnSibling = el.previousElementSibling;
-        let count = 0;
-        while (btnSibling && count < 3) {
-            for (const selector of SELECTORS.commandElements) {
-                const codeElements = btnSibling.querySelectorAll ? btnSibling.querySelectorAll(selector) : [];
-                for (const codeEl of codeElements) {
-                    if (codeEl?.textContent) commandText += ' ' + codeEl.textContent.trim();
-                }
-            }
-            btnSibling = btnSibling.previousElementSibling;
-            count++;
+// --- BROWSER URL CONTEXT ---
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'<>`]+/i;
+// A bare domain only counts right after a verb: "visit example.com/docs"
+const BARE_URL_PATTERN = /\b(?:visit|open|navigate to|go to|access|load)\s+((?:[a-z0-9-]+\.)+[a-z]{2,}(?::\d+)?(?:\/[^\s"'<>`]*)?)/i;
+
+/** URL a browser permission prompt is about, from links and attributes first, then its text. '' if none. */
+function findNearbyUrl(el) {
+    const row = findButtonRow(el);
+    for (const node of [row, ...row.querySelectorAll('*')]) {
+        if (el.contains(node)) continue;
+        for (const attr of SELECTORS.browserUrlAttributes) {
+            const match = (node.getAttribute(attr) || '').match(URL_PATTERN);
+            if (match) return trimUrl(match[0]);
         }
     }
+    const text = rowText(row, el);
+    const match = text.match(URL_PATTERN);
+    if (match) return trimUrl(match[0]);
+    const bare = text.match(BARE_URL_PATTERN);
+    return bare ? trimUrl(bare[1]) : '';
+}
+
+// Sentence punctuation and closing brackets after a URL are not part of it
+function trimUrl(url) {
+    return url.replace(/[.,;:!?)\]}'"]+$/, '');
+}
 
-    if (el.getAttribute('aria-label')) commandText += ' ' + el.getAttribute('aria-label');
-    if (el.getAttribute('title')) commandText += ' ' + el.getAttribute('title');
+// --- MCP TOOL CONTEXT ---
 
-    return commandText.trim().toLowerCase();
+// How the IDEs name a tool call, tried in order on the text of the button's row
+const MCP_TOOL_PATTERNS = [
+    { pattern: /\bmcp_([A-Za-z0-9-]+)_([\w.-]+)/, server: 1, tool: 2 },                                  // mcp_github_create_issue
+    { pattern: /\bmcp server\s+["'`]?([\w.-]+)["'`]?.*?\b(?:call|use|run)s?\s+(?:the\s+)?(?:tool\s+)?["'`]?([\w.-]+)/i, server: 1, tool: 2 },
+    { pattern: /\btool\s+["'`]?([\w.-]+)["'`]?\s+(?:from|on|in)\s+(?:the\s+)?(?:mcp\s+)?(?:server\s+)?["'`]?([\w.-]+)/i, server: 2, tool: 1 },
+    { pattern: /^\s*([\w.-]+)\s*(?:\/|›|>|:{1,2})\s*([\w.-]+)\s*$/, server: 1, tool: 2, headerOnly: true }   // "github / create_issue"
+];
+
+/**
+ * Server and tool an MCP approval is for, from data attributes or the tool-call header
+ * and prompt text in the button's row: { server, tool }, '' for a part that is not shown.
+ */
+function findNearbyToolCall(el) {
+    const row = findButtonRow(el);
+    const result = { server: '', tool: '' };
+    for (const node of [row, ...row.querySelectorAll('*')]) {
+        if (!result.server) result.server = firstAttribute(node, SELECTORS.mcpServerAttributes);
+        if (!result.tool) result.tool = firstAttribute(node, SELECTORS.mcpToolAttributes);
+    }
+    if (result.server && result.tool) return result;
+
+    const headers = SELECTORS.mcpElements.flatMap(selector => { try { return [...row.querySelectorAll(selector)]; } catch (e) { return []; } });
+    const texts = [...headers.map(h => ({ text: rowText(h, el), header: true })), { text: rowText(row, el), header: false }];
+    for (const { pattern, server, tool, headerOnly } of MCP_TOOL_PATTERNS) {
+        for (const { text, header } of texts) {
+            if (headerOnly && !header) continue;
+            const match = text.match(pattern);
+            if (!match) continue;
+            return { server: result.server || match[server], tool: result.tool || match[tool] };
+        }
+    }
+    return result;
 }
 
-function isCommandBanned(commandText) {
-    const bannedList = window.__autoAcceptState.bannedCommands || [];
-    if (bannedList.length === 0 || !commandText) return false;
+const MAX_MCP_ARGS_LENGTH = 500;
 
-    const lowerText = commandText.toLowerCase();
+/**
+ * { mcpServer, mcpTool, mcpArgs } for an MCP button. The arguments are the code blocks in the
+ * button's own row; unlike findNearbyCommandText this never reaches into an earlier message.
+ */
+function toolCallContext(el) {
+    const { server, tool } = findNearbyToolCall(el);
+    const row = findButtonRow(el);
+    const blocks = [...new Set(SELECTORS.commandElements.flatMap(selector => [...row.querySelectorAll(selector)]))]
+        .filter(block => !(block.parentElement && block.parentElement.closest('pre, code'))) // `pre code` is one block
+        .map(block => block.textContent.trim())
+        .filter(Boolean);
+    return { mcpServer: server, mcpTool: tool, mcpArgs: blocks.join('\n').substring(0, MAX_MCP_ARGS_LENGTH) };
+}
 
-    for (const banned of bannedList) {
-        const pattern = banned.trim();
-        if (!pattern) continue;
+function firstAttribute(node, attributes) {
+    for (const attr of attributes) {
+        const value = node.getAttribute && node.getAttribute(attr);
+        if (value && value.trim()) return value.trim();
+    }
+    return '';
+}
 
-        try {
-            if (pattern.startsWith('/') && pattern.lastIndexOf('/') > 0) {
-                const lastSlash = pattern.lastIndexOf('/');
-                const regex = new RegExp(pattern.substring(1, lastSlash), pattern.substring(lastSlash + 1) || 'i');
-                if (regex.test(commandText)) {
-                    log(`[BANNED] Blocked by regex: ${pattern}`);
-                    window.__autoAcceptState.blocked++;
-                    return true;
-                }
-            } else {
-                if (lowerText.includes(pattern.toLowerCase())) {
-                    log(`[BANNED] Blocked by pattern: "${pattern}"`);
-                    window.__autoAcceptState.blocked++;
-                    return true;
-                }
-            }
-        } catch (e) {
-            if (lowerText.includes(pattern.toLowerCase())) {
-                log(`[BANNED] Blocked (fallback): "${pattern}"`);
-                window.__autoAcceptState.blocked++;
-                return true;
-            }
+// --- DIFF SIZE ---
+
+const DIFF_STAT_PATTERN = /^\+\s*(\d[\d,]*)\s*[-−–]\s*(\d[\d,]*)$/;
+
+function buttonLabel(btn) {
+    return (btn.textContent || '').trim().toLowerCase();
+}
+
+/** Another visible accept-style button in `container` means it holds more than `el`'s own step. */
+function hasOtherAcceptButton(container, el) {
+    return [...container.querySelectorAll('button, [role="button"]')].some(btn => {
+        const t = buttonLabel(btn);
+        return btn !== el && !btn.contains(el) && !el.contains(btn) && t.length > 0 && t.length <= 50 &&
+            SELECTORS.acceptPatterns.some(p => t.includes(p)) &&
+            !SELECTORS.rejectPatterns.some(r => t.includes(r)) && isElementVisible(btn);
+    });
+}
+
+// Edit button -> the diff badges found for it. Later polls only re-read their text, so a growing
+// step still counts; a button whose badges are gone, or had none yet, is looked up again.
+const diffStatBadges = new WeakMap();
+
+/**
+ * Size of the change an edit button applies, from the diff summaries shown around it:
+ * { added, removed, files, deletesFile }, or null if the IDE shows none.
+ * An "Accept all" button sums every file in its step; a per-file button stops at its own file.
+ */
+function findNearbyDiffStats(el) {
+    let badges = diffStatBadges.get(el);
+    if (!badges || !badges.every(badge => badge.isConnected)) {
+        badges = findDiffStatBadges(el);
+        if (badges.length === 0) return null;
+        diffStatBadges.set(el, badges);
+    }
+
+    const stats = { added: 0, removed: 0, files: 0, deletesFile: false };
+    for (const badge of badges) {
+        const text = (badge.textContent || '').trim();
+        if (SELECTORS.deletedFileTexts.includes(text.toLowerCase())) stats.deletesFile = true;
+        const match = text.match(DIFF_STAT_PATTERN);
+        if (!match) continue;
+        stats.added += parseInt(match[1].replace(/,/g, ''), 10);
+        stats.removed += parseInt(match[2].replace(/,/g, ''), 10);
+        stats.files++;
+    }
+    return stats.files > 0 || stats.deletesFile ? stats : null;
+}
+
+/** The diff badges of the nearest ancestor that has any, [] when the climb reaches another step first. */
+function findDiffStatBadges(el) {
+    const selector = SELECTORS.diffStatElements.join(',');
+    const coversAll = buttonLabel(el).includes('all');
+    let container = el.parentElement;
+    for (let depth = 0; container && depth < 8; depth++, container = container.parentElement) {
+        if (!container.querySelector(selector)) continue;
+        if (!coversAll && depth > 0 && hasOtherAcceptButton(container, el)) return [];
+
+        const badges = [];
+        for (const candidate of container.querySelectorAll(selector)) {
+            const text = (candidate.textContent || '').trim();
+            if (text.length === 0 || text.length > 30) continue;
+            if (!DIFF_STAT_PATTERN.test(text) && !SELECTORS.deletedFileTexts.includes(text.toLowerCase())) continue;
+            // A badge inside another matched one is the same badge
+            if (badges.some(b => b.contains(candidate) || candidate.contains(b))) continue;
+            badges.push(candidate);
         }
+        if (badges.length > 0) return badges;
     }
-    return false;
+    return [];
+}
+
+// Buttons already counted as blocked, so a waiting button is reported once, not every poll
+const reportedBlocked = new WeakSet();
+const reportedSkipped = new WeakSet();
+
+const reportedAsk = new WeakSet();
+
+// Blocked / waiting buttons by decision key, so the user's answer to a notification can act on them
+const MAX_ESCALATED = 50;
+const escalatedButtons = new Map();
+
+function rememberEscalation(key, el) {
+    escalatedButtons.delete(key);
+    escalatedButtons.set(key, el);
+    if (escalatedButtons.size > MAX_ESCALATED) escalatedButtons.delete(escalatedButtons.keys().next().value);
+}
+
+// --- POLICY DECISIONS ---
+// The page never decides on its own: it sends a 'decide' request over the binding,
+// the extension evaluates its rules and answers through __autoAcceptResolve.
+// Until an answer arrives the button is left alone (fail closed).
+const DECISION_RETRY_MS = 3000;
+const MAX_CACHED_DECISIONS = 200;
+
+function decisionKey(request) {
+    // The diff is part of the key: a step that keeps growing is decided again
+    return JSON.stringify([request.actionType, request.label, request.command, request.file, request.diff,
+        request.mcpServer, request.mcpTool, request.mcpArgs, request.url]);
+}
+
+/** Cached { action, reason } for this request, or null while the extension is deciding. */
+function getPolicyDecision(request) {
+    const state = window.__autoAcceptState;
+    const key = decisionKey(request);
+    if (state.decisions[key]) return state.decisions[key];
+
+    const requestedAt = state.pendingDecisions[key];
+    if (!requestedAt || Date.now() - requestedAt > DECISION_RETRY_MS) {
+        state.pendingDecisions[key] = Date.now();
+        emit('decide', { key, ...request });
+    }
+    return null;
+}
+
+function resolveDecision(key, decision) {
+    const state = window.__autoAcceptState;
+    delete state.pendingDecisions[key];
+    if (Object.keys(state.decisions).length >= MAX_CACHED_DECISIONS) state.decisions = {};
+    state.decisions[key] = decision;
+}
+
+// --- CONVERSATION CONTEXT ---
+
+/** Name of the conversation the buttons belong to: the selected tab, else the last one rotated to. */
+function getActiveTabName() {
+    for (const selector of SELECTORS.cursorTabs) {
+        const selected = queryAll(selector).find(tab =>
+            SELECTORS.activeTabMarkers.some(marker => { try { return tab.matches(marker); } catch (e) { return false; } })
+        );
+        if (selected) {
+            return stripTimeSuffix(selected.getAttribute('aria-label') || selected.textContent) || null;
+        }
+    }
+    return window.__autoAcceptState.activeTab || null;
+}
+
+/** Bring the named conversation to the front. Returns false if no tab has that name. */
+function openConversation(name) {
+    const tabs = [];
+    for (const selector of SELECTORS.cursorTabs) tabs.push(...queryAll(selector));
+    tabs.push(...queryAll(SELECTORS.antigravityTabs));
+
+    const target = tabs.find(tab => stripTimeSuffix(tab.getAttribute('aria-label') || tab.textContent) === name);
+    if (!target) return false;
+    target.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+    window.__autoAcceptState.activeTab = name;
+    return true;
 }
 
 // --- BUTTON DETECTION ---
+
+/**
+ * Bucket a button: 'edit' | 'terminal' | 'retry' | 'browser' | 'mcp' | 'confirm'.
+ * The label decides: a Run / Execute button is a terminal run wherever it sits. Only an
+ * Allow / Confirm prompt, whose label says nothing, is told apart by the row it sits in.
+ */
+function classifyButton(el) {
+    const t = buttonLabel(el);
+    const has = (text, patterns) => patterns.some(p => text.includes(p));
+
+    if (has(t, SELECTORS.retryPatterns)) return 'retry';
+    if (has(t, SELECTORS.mcpLabelPatterns)) return 'mcp';
+    if (has(t, SELECTORS.terminalPatterns)) return 'terminal';
+    if (has(t, SELECTORS.confirmPatterns)) {
+        const row = findButtonRow(el);
+        const context = rowText(row, el).toLowerCase();
+        // A prompt that names an MCP server or tool is one; otherwise browser wins, since
+        // browser prompts sit in the same tool-call markup
+        const call = findNearbyToolCall(el);
+        if (call.server || call.tool) return 'mcp';
+        if (has(context, SELECTORS.browserContextTexts) || rowHasElement(row, SELECTORS.browserElements)) return 'browser';
+        if (rowHasElement(row, SELECTORS.mcpElements) || has(context, SELECTORS.mcpContextTexts)) return 'mcp';
+        return 'confirm';
+    }
+    return 'edit';
+}
+
+/** The largest ancestor (up to 4 levels) that holds no other accept button: the button's own step. */
+function findButtonRow(el) {
+    let row = el.parentElement || el;
+    for (let depth = 0; depth < 4; depth++) {
+        const parent = row.parentElement;
+        if (!parent || parent === document.body || hasOtherAcceptButton(parent, el)) break;
+        row = parent;
+    }
+    return row;
+}
+
+/** Visible text of a row apart from the button itself, one space between elements. */
+function rowText(row, el) {
+    const parts = [];
+    const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (!el.contains(node)) parts.push(node.textContent);
+    }
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function rowHasElement(row, selectors) {
+    return selectors.some(selector => { try { return !!row.querySelector(selector); } catch (e) { return false; } });
+}
+
+// What each button is about, read once per pass and reused by the click that follows
+const buttonContexts = new WeakMap();
+
+function readButtonContext(el) {
+    const actionType = classifyButton(el);
+    const context = {
+        actionType,
+        // Anything labelled Run / Execute ("Run tool" too) has its command checked.
+        // Read it before clicking; the block usually collapses afterwards.
+        command: isRunButton(el) ? findNearbyCommandText(el) : '',
+        file: actionType === 'edit' ? findNearbyFilePath(el) : '',
+        // The most expensive lookup, skipped when no setting looks at diff sizes
+        diff: actionType === 'edit' && window.__autoAcceptState.readDiffStats !== false ? findNearbyDiffStats(el) : null,
+        tool: actionType === 'mcp' ? toolCallContext(el) : {},
+        url: actionType === 'browser' ? findNearbyUrl(el) : ''
+    };
+    buttonContexts.set(el, context);
+    return context;
+}
+
+function isRunButton(el) {
+    const t = buttonLabel(el);
+    return SELECTORS.terminalPatterns.some(p => t.includes(p));
+}
+
 function isAcceptButton(el) {
     const text = (el.textContent || "").trim().toLowerCase();
     if (text.length === 0 || text.length > 50) return false;
@@ -102,15 +390,120 @@ function isAcceptButton(el) {
     if (SELECTORS.rejectPatterns.some(r => text.includes(r))) return false;
     if (!SELECTORS.acceptPatterns.some(p => text.includes(p))) return false;
 
-    // Check banned commands for run/execute buttons
-    if (text.includes('run command') || text.includes('execute') || text.includes('run')) {
-        const nearbyText = findNearbyCommandText(el);
-        if (isCommandBanned(nearbyText)) return false;
-    }
-
     const style = window.getComputedStyle(el);
     const rect = el.getBoundingClientRect();
-    return style.display !== 'none' && rect.width > 0 && style.pointerEvents !== 'none' && !el.disabled;
+    const visible = style.display !== 'none' && rect.width > 0;
+    if (!visible) return false;
+    if (el.disabled || style.pointerEvents === 'none') {
+        if (!reportedSkipped.has(el)) {
+            reportedSkipped.add(el);
+            emit('skipped', { label: text, reason: 'disabled', tab: getActiveTabName() });
+        }
+        return false;
+    }
+
+    const { actionType, command, file, diff, tool, url } = readButtonContext(el);
+    const request = { actionType, label: text, command, file, diff, ...tool, url };
+    const key = decisionKey(request);
+    const decision = getPolicyDecision(request);
+    if (!decision) return false;
+
+    // A button category switched off (autoAccept.buttons.*) is left for the user, without a notification
+    if (decision.action === 'deny' && decision.source === 'buttons') {
+        if (!reportedSkipped.has(el)) {
+            reportedSkipped.add(el);
+            emit('skipped', { label: text, actionType, ...tool, url, reason: decision.reason, tab: getActiveTabName() });
+        }
+        return false;
+    }
+    if (decision.action === 'deny') {
+        if (!reportedBlocked.has(el)) {
+            reportedBlocked.add(el);
+            rememberEscalation(key, el);
+            window.__autoAcceptState.blocked++;
+            log(`[POLICY] Blocked "${text}" (${decision.reason})`);
+            emit('blocked', { key, label: text, actionType, command, file, diff, ...tool, url, pattern: decision.reason, source: decision.source, tab: getActiveTabName() });
+            recordAwayAction('blocked', { label: text, command, file, pattern: decision.reason });
+        }
+        return false;
+    }
+    if (decision.action === 'ask') {
+        if (!reportedAsk.has(el)) {
+            reportedAsk.add(el);
+            rememberEscalation(key, el);
+            log(`[POLICY] Waiting for approval: "${text}" (${decision.reason})`);
+            emit('ask', { key, label: text, actionType, command, file, diff, ...tool, url, reason: decision.reason, source: decision.source, tab: getActiveTabName() });
+        }
+        return false;
+    }
+    // "Run once" from a notification: good for this click only
+    if (decision.once) delete window.__autoAcceptState.decisions[key];
+    return decision.action === 'allow';
+}
+
+// --- CIRCUIT BREAKER ---
+// A stuck agent makes us click the same thing over and over. Once one conversation repeats
+// the same click (label, or command / file when there is one) too often, stop clicking there
+// until the user resumes it. The conversation's completionStatus becomes 'attention'.
+const DEFAULT_BREAKER = { maxRepeats: 10, windowMs: 5 * 60 * 1000 };
+const CURRENT_CONVERSATION = '(current conversation)';
+
+function conversationKey(tab) {
+    return tab || CURRENT_CONVERSATION;
+}
+
+function isConversationPaused(tab) {
+    return window.__autoAcceptState.completionStatus[conversationKey(tab)] === 'attention';
+}
+
+function breakerSettings() {
+    return { ...DEFAULT_BREAKER, ...(window.__autoAcceptState.breaker || {}) };
+}
+
+function clickSignature(actionType, label, detail) {
+    return `${actionType}|${detail || label}`;
+}
+
+function recentClicks(conversation) {
+    const state = window.__autoAcceptState;
+    const { windowMs } = breakerSettings();
+    const now = Date.now();
+    state.clickHistory[conversation] = (state.clickHistory[conversation] || []).filter(c => now - c.ts < windowMs);
+    return state.clickHistory[conversation];
+}
+
+function recordClick(tab, actionType, label, detail) {
+    recentClicks(conversationKey(tab)).push({ ts: Date.now(), signature: clickSignature(actionType, label, detail) });
+}
+
+/** Called before a click: true (and the conversation paused) when this click would be one repeat too many. */
+function tripBreakerIfRepeated(tab, actionType, label, detail) {
+    const state = window.__autoAcceptState;
+    const { maxRepeats, windowMs } = breakerSettings();
+    if (!maxRepeats) return false;
+
+    const conversation = conversationKey(tab);
+    const signature = clickSignature(actionType, label, detail);
+    const count = recentClicks(conversation).filter(c => c.signature === signature).length;
+    if (count < maxRepeats) return false;
+
+    state.completionStatus[conversation] = 'attention';
+    state.clickHistory[conversation] = [];
+    markTabNeedsAttention(conversation);
+    log(`[BREAKER] "${label}" already clicked ${count}x in ${Math.round(windowMs / 60000)} min in "${conversation}", pausing`);
+    emit('attention', { tab: tab || null, label, actionType, command: actionType === 'terminal' ? detail : '', count, windowMs });
+    recordAwayAction('attention', { tab: conversation, label, count });
+    return true;
+}
+
+function resumeConversation(tab) {
+    const state = window.__autoAcceptState;
+    const conversation = conversationKey(tab);
+    if (state.completionStatus[conversation] !== 'attention') return false;
+    delete state.completionStatus[conversation];
+    delete state.clickHistory[conversation];
+    markTabNeedsAttention(conversation, false);
+    return true;
 }
 
 function isElementVisible(el) {
@@ -138,23 +531,65 @@ async function performClick(selectors) {
     const uniqueFound = [...new Set(found)];
     let clicked = 0;
 
+    const tab = getActiveTabName();
+    if (isConversationPaused(tab)) return 0;
+
     for (const el of uniqueFound) {
+        // Stopped mid-pass (e.g. the extension's action budget ran out): no more clicks
+        if (!window.__autoAcceptState.isRunning) break;
         if (isAcceptButton(el)) {
             const buttonText = (el.textContent || "").trim();
+            const { actionType, command, file, tool, url } = buttonContexts.get(el);
+            const detail = command || file || url || (tool.mcpTool ? `${tool.mcpServer}/${tool.mcpTool}` : '');
+            if (tripBreakerIfRepeated(tab, actionType, buttonText, detail)) break;
             log(`[CLICK] "${buttonText}"`);
             el.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
             clicked++;
 
             const disappeared = await waitForDisappear(el);
             if (disappeared) {
-                window.__autoAcceptState.clicks++;
+                const state = window.__autoAcceptState;
+                state.clicks++;
+                if (!state.byType) state.byType = {};
+                state.byType[actionType] = (state.byType[actionType] || 0) + 1;
                 log(`[CLICK] Verified (disappeared). Total: ${window.__autoAcceptState.clicks}`);
             }
+            emit('click', { label: buttonText, actionType, command, file, ...tool, url, tab, verified: disappeared });
+            recordAwayAction(actionType, { label: buttonText, command, file, url, mcpServer: tool.mcpServer, mcpTool: tool.mcpTool });
+            recordClick(tab, actionType, buttonText, detail);
         }
     }
     return clicked;
 }
 
+/**
+ * The user rejected a blocked / waiting action: click the reject-style button
+ * (Skip, Reject, Cancel, ...) that sits next to it.
+ */
+function rejectEscalatedAction(key) {
+    const el = escalatedButtons.get(key);
+    escalatedButtons.delete(key);
+    if (!el || !el.isConnected) return false;
+
+    let container = el.parentElement;
+    for (let depth = 0; container && depth < 5; depth++) {
+        // Another accept button in here means we have climbed past this action's own row
+        if (hasOtherAcceptButton(container, el)) break;
+
+        const reject = [...container.querySelectorAll('button, [role="button"]')].find(btn => {
+            const t = buttonLabel(btn);
+            return btn !== el && t.length > 0 && t.length <= 50 && SELECTORS.rejectPatterns.some(r => t.includes(r)) && isElementVisible(btn);
+        });
+        if (reject) {
+            log(`[POLICY] Rejecting "${(el.textContent || '').trim()}" via "${reject.textContent.trim()}"`);
+            reject.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+            return true;
+        }
+        container = container.parentElement;
+    }
+    return false;
+}
+
 // --- COMPILATION ERROR DETECTION ---
 function hasCompilationErrors() {
     const errorBadges = queryAll(SELECTORS.errorBadges);
@@ -39,10 +39,12 @@ async function cursorLoop(sid) {
         updateTabNames(tabs);
 
         if (tabs.length > 0) {
-            const targetTab = tabs[index % tabs.length];
+            const targetIdx = index % tabs.length;
+            const targetTab = tabs[targetIdx];
             const tabLabel = targetTab.getAttribute('aria-label') || targetTab.textContent?.trim() || '?';
             log(`[LOOP ${cycle}] Rotating to tab "${stripTimeSuffix(tabLabel)}"`);
             targetTab.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+            state.activeTab = (state.tabNames || [])[targetIdx] || stripTimeSuffix(tabLabel);
             index++;
         }
 
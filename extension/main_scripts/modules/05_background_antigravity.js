@@ -78,6 +78,7 @@ async function antigravityLoop(sid) {
             const clickedTabName = stripTimeSuffix(targetTab.textContent);
             log(`[LOOP ${cycle}] Rotating to tab "${clickedTabName}"`);
             targetTab.dispatchEvent(new MouseEvent('click', { view: window, bubbles: true, cancelable: true }));
+            state.activeTab = (state.tabNames || [])[targetIdx] || clickedTabName;
             index++;
         }
 
@@ -2,42 +2,92 @@
  * 06_lifecycle.js — Lifecycle API
  *
  * Adapted from background_loop_debug.js lines 352-403.
- * Provides window.__autoAcceptStart/Stop/GetStats/UpdateBannedCommands.
+ * Provides window.__autoAcceptStart/Stop/GetStats/GetAwayActions/Resolve/ClearDecisions,
+ * plus Reject/OpenConversation/ResumeConversation for answers to notifications.
  */
 
 // --- STATE INITIALIZATION ---
 if (!window.__autoAcceptState) {
     window.__autoAcceptState = {
+        instanceId: Math.random().toString(36).slice(2), // lets the extension tell a reload from a reconnect
         isRunning: false,
         tabNames: [],
+        activeTab: null,
         completionStatus: {},
         sessionID: 0,
         currentMode: null,
         isBackgroundMode: false,
-        bannedCommands: [],
+        decisions: {},        // decisionKey -> { action, reason } from the extension
+        pendingDecisions: {}, // decisionKey -> time the 'decide' request was sent
         _noTabCycles: 0,
         clicks: 0,
-        blocked: 0
+        blocked: 0,
+        byType: {},
+        isFocused: true,
+        awayActions: [],
+        breaker: null,        // { maxRepeats, windowMs } from the extension
+        readDiffStats: true,  // false when no policy setting looks at diff sizes
+        clickHistory: {}      // conversation -> recent clicks, for the circuit breaker
     };
     log('[FLOW] State initialized (fresh)');
 } else {
     log('[FLOW] State already exists (re-injection)');
+    // State may predate this script version
+    const s = window.__autoAcceptState;
+    if (!s.decisions) s.decisions = {};
+    if (!s.pendingDecisions) s.pendingDecisions = {};
+    if (!s.clickHistory) s.clickHistory = {};
+}
+
+// Loops are fire-and-forget; report a crash instead of dying silently
+function reportLoopError(loopName, e) {
+    log(`[ERROR] ${loopName}: ${e.message}`);
+    emit('error', { where: loopName, message: e.message, stack: e.stack });
 }
 
 // --- PUBLIC API ---
 
-window.__autoAcceptUpdateBannedCommands = function(bannedList) {
-    window.__autoAcceptState.bannedCommands = Array.isArray(bannedList) ? bannedList : [];
-    log(`[CONFIG] Banned commands: ${window.__autoAcceptState.bannedCommands.length} patterns`);
+/** Answer to a 'decide' request: { action: 'allow' | 'deny' | 'ask', reason, source, once? }. */
+window.__autoAcceptResolve = function(key, decision) {
+    resolveDecision(key, decision);
+};
+
+/** Answer to a "blocked" notification: click the action's reject button. */
+window.__autoAcceptReject = function(key) {
+    return rejectEscalatedAction(key);
+};
+
+window.__autoAcceptOpenConversation = function(name) {
+    return openConversation(name);
+};
+
+/** Clear a tripped circuit breaker so the conversation is auto-clicked again. */
+window.__autoAcceptResumeConversation = function(name) {
+    return resumeConversation(name);
+};
+
+/** Policy changed: forget cached decisions so every button is asked about again. */
+window.__autoAcceptClearDecisions = function() {
+    const s = window.__autoAcceptState;
+    s.decisions = {};
+    s.pendingDecisions = {};
 };
 
 window.__autoAcceptGetStats = function() {
     const s = window.__autoAcceptState;
-    return { clicks: s.clicks || 0, blocked: s.blocked || 0 };
+    return { instanceId: s.instanceId, clicks: s.clicks || 0, blocked: s.blocked || 0, byType: { ...(s.byType || {}) } };
+};
+
+window.__autoAcceptSetFocusState = function(isFocused) {
+    window.__autoAcceptState.isFocused = isFocused !== false;
 };
 
-window.__autoAcceptSetFocusState = function() {
-    // No-op: analytics removed
+/** Return and clear everything recorded while the window was unfocused. */
+window.__autoAcceptGetAwayActions = function() {
+    const s = window.__autoAcceptState;
+    const actions = s.awayActions || [];
+    s.awayActions = [];
+    return actions;
 };
 
 window.__autoAcceptStart = function(config) {
@@ -45,11 +95,9 @@ window.__autoAcceptStart = function(config) {
         const ide = (config.ide || 'cursor').toLowerCase();
         const isBG = config.isBackgroundMode === true;
 
-        if (config.bannedCommands) {
-            window.__autoAcceptUpdateBannedCommands(config.bannedCommands);
-        }
-
         const state = window.__autoAcceptState;
+        if (config.breaker) state.breaker = config.breaker;
+        if (typeof config.readDiffStats === 'boolean') state.readDiffStats = config.readDiffStats;
 
         log(`[FLOW] __autoAcceptStart called: ide=${ide}, bg=${isBG}`);
 
@@ -81,8 +129,8 @@ window.__autoAcceptStart = function(config) {
             log(`[FLOW] Starting BACKGROUND mode (${ide}, sid=${sid})`);
             mountOverlay();
 
-            if (ide === 'cursor') cursorLoop(sid);
-            else antigravityLoop(sid);
+            if (ide === 'cursor') cursorLoop(sid).catch(e => reportLoopError('cursorLoop', e));
+            else antigravityLoop(sid).catch(e => reportLoopError('antigravityLoop', e));
         } else {
             log(`[FLOW] Starting SIMPLE mode (${ide}, sid=${sid})`);
             (async function staticLoop() {
@@ -91,11 +139,13 @@ window.__autoAcceptStart = function(config) {
                     await new Promise(r => setTimeout(r, config.pollInterval || 1000));
                 }
                 log('[FLOW] staticLoop STOPPED');
-            })();
+            })().catch(e => reportLoopError('staticLoop', e));
         }
     } catch (e) {
         log(`[ERROR] __autoAcceptStart: ${e.message}`);
         console.error('[AutoAccept] Start error:', e);
+        emit('error', { where: '__autoAcceptStart', message: e.message, stack: e.stack });
+        throw e; // Surfaces as exceptionDetails so the extension marks the injection failed
     }
 };
 
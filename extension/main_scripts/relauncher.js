@@ -3,17 +3,27 @@ const { execSync, spawn } = require('child_process');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
-
-const CDP_PORT = 9000;
-const CDP_FLAG = `--remote-debugging-port=${CDP_PORT}`;
+const { DEFAULT_PORT } = require('./cdp-endpoint');
 
 /**
  * Robust cross-platform manager for IDE shortcuts and relaunching
  */
 class Relauncher {
-    constructor(logger = console.log) {
+    constructor(logger = console.log, port = DEFAULT_PORT) {
         this.platform = os.platform();
         this.logger = logger;
+        this.port = port;
+    }
+
+    /**
+     * Port written into shortcuts and checked in process arguments (autoAccept.cdp.port)
+     */
+    setPort(port) {
+        this.port = port || DEFAULT_PORT;
+    }
+
+    getCDPFlag() {
+        return `--remote-debugging-port=${this.port}`;
     }
 
     log(msg) {
@@ -35,12 +45,13 @@ class Relauncher {
      */
     async ensureCDPAndRelaunch() {
         this.log('Checking if current process has CDP flag...');
+        const ideName = this.getIdeName();
         const hasFlag = await this.checkShortcutFlag();
 
         if (hasFlag) {
             this.log('CDP flag present but port inactive. Prompting for restart.');
             vscode.window.showWarningMessage(
-                `Auto Accept: The CDP flag is present, but the debugger port is not responding. Please completely close and restart ${ideName}.`,
+                `Auto Accept: The CDP flag is present, but the debugger port ${this.port} is not responding. Please completely close and restart ${ideName}.`,
                 'Restart Now'
             ).then(selection => {
                 if (selection === 'Restart Now') {
@@ -50,13 +61,12 @@ class Relauncher {
             return { success: true, relaunched: false };
         }
 
-        this.log('CDP flag missing in current process. Showing platform-specific script...');
-        const ideName = this.getIdeName();
+        this.log(`CDP flag missing in current process. Showing platform-specific script for port ${this.port}...`);
         const { script, instructions } = await this.getPlatformScriptAndInstructions();
 
         if (!script) {
             vscode.window.showErrorMessage(
-                `Auto Accept: Unsupported platform. Please add --remote-debugging-port=9000 to your ${ideName} shortcut manually, then restart.`,
+                `Auto Accept: Unsupported platform. Please add ${this.getCDPFlag()} to your ${ideName} shortcut manually, then restart.`,
                 'View Help'
             ).then(selection => {
                 if (selection === 'View Help') {
@@ -91,7 +101,7 @@ class Relauncher {
         // Optimization: checking the process arguments of the current instance
         // This is the most reliable way to know if WE were launched with it
         const args = process.argv.join(' ');
-        return args.includes('--remote-debugging-port=9000');
+        return args.includes(this.getCDPFlag());
     }
 
     /**
@@ -123,6 +133,7 @@ class Relauncher {
     async getPlatformScriptAndInstructions() {
         const ideName = this.getIdeName();
         const platform = this.platform;
+        const port = this.port;
 
         if (platform === 'win32') {
             const script = `# Universal Windows Script - Adds CDP Port to ${ideName}
@@ -161,7 +172,7 @@ if ($foundShortcuts.Count -eq 0) {
         $shortcutPath = "$desktopPath\\${ideName}.lnk"
         $shortcut = $WshShell.CreateShortcut($shortcutPath)
         $shortcut.TargetPath = $exePath
-        $shortcut.Arguments = "--remote-debugging-port=9000"
+        $shortcut.Arguments = "--remote-debugging-port=${port}"
         $shortcut.Save()
         Write-Host "Created new shortcut: $shortcutPath" -ForegroundColor Green
     } else {
@@ -175,9 +186,9 @@ if ($foundShortcuts.Count -eq 0) {
         $originalArgs = $shortcut.Arguments
 
         if ($originalArgs -match "--remote-debugging-port=\\d+") {
-            $shortcut.Arguments = $originalArgs -replace "--remote-debugging-port=\\d+", "--remote-debugging-port=9000"
+            $shortcut.Arguments = $originalArgs -replace "--remote-debugging-port=\\d+", "--remote-debugging-port=${port}"
         } else {
-            $shortcut.Arguments = "--remote-debugging-port=9000 " + $originalArgs
+            $shortcut.Arguments = "--remote-debugging-port=${port} " + $originalArgs
         }
         $shortcut.Save()
         Write-Host "Updated: $($shortcutFile.Name)" -ForegroundColor Green
@@ -251,7 +262,7 @@ else
     sed -i '' '/<\\/dict>/i\\
     <key>LSArguments<\\/key>\\
     <array>\\
-        <string>--remote-debugging-port=9000<\\/string>\\
+        <string>--remote-debugging-port=${port}<\\/string>\\
     <\\/array>
 ' "\$info_plist"
 
@@ -263,7 +274,7 @@ echo "=== Setup Complete ==="
 echo "Please quit and restart ${ideName} completely for changes to take effect."
 echo ""
 echo "To launch with CDP flag temporarily, you can also use:"
-echo "  open -n -a \\"${ideName}\\" --args --remote-debugging-port=9000"`;
+echo "  open -n -a \\"${ideName}\\" --args --remote-debugging-port=${port}"`;
             return {
                 script,
                 instructions: `1. Open Terminal\n2. Copy the script above and paste it into Terminal\n3. Press Enter to run\n4. After the script completes, quit and restart ${ideName} completely.`
@@ -306,11 +317,11 @@ add_cdp_to_desktop_file() {
     echo "  Backup created: \$backup_file"
 
     # Add CDP port to Exec lines
-    sed -i 's|^Exec=\\(.*\\)$|Exec=\\1 --remote-debugging-port=9000|' "\$desktop_file"
+    sed -i 's|^Exec=\\(.*\\)$|Exec=\\1 --remote-debugging-port=${port}|' "\$desktop_file"
 
     # Add to TryExec if present
     if grep -q "^TryExec=" "\$desktop_file"; then
-        sed -i 's|^TryExec=\\(.*\\)$|TryExec=\\1 --remote-debugging-port=9000|' "\$desktop_file"
+        sed -i 's|^TryExec=\\(.*\\)$|TryExec=\\1 --remote-debugging-port=${port}|' "\$desktop_file"
     fi
 
     echo "  Status: CDP port added"
@@ -360,7 +371,7 @@ fi`;
         } else {
             return {
                 script: '',
-                instructions: 'Unsupported platform. Please manually add --remote-debugging-port=9000 to your IDE shortcut.'
+                instructions: `Unsupported platform. Please manually add --remote-debugging-port=${port} to your IDE shortcut.`
             };
         }
     }
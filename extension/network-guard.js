@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const { parseRegex } = require('./command-parser');
+
+const GUARD_ACTIONS = ['off', 'ask', 'deny'];
+
+const DOWNLOADERS = ['curl', 'wget', 'http', 'https', 'aria2c', 'invoke-webrequest', 'iwr', 'invoke-restmethod', 'irm'];
+const REMOTE_COPY = ['scp', 'sftp', 'rsync'];
+const SOCKETS = ['nc', 'ncat', 'netcat', 'telnet', 'ftp'];
+const GIT_NETWORK = ['push', 'pull', 'fetch', 'clone', 'ls-remote'];
+// Options before the subcommand (`git -C dir push`) and after it that take the next word as their value
+const GIT_GLOBAL_OPTIONS_WITH_VALUE = ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env', '--super-prefix'];
+const GIT_OPTIONS_WITH_VALUE = ['-o', '--push-option', '--repo', '--receive-pack', '--exec', '--upload-pack', '-u', '--depth', '--shallow-since',
+    '--shallow-exclude', '-b', '--branch', '--origin', '-j', '--jobs', '--reference', '--separate-git-dir', '--filter', '--template', '-c', '--config'];
+// `git -c http.proxy=... push` or `-c remote.origin.url=...` sends the traffic somewhere the remote does not say
+const GIT_REDIRECTING_CONFIG = /^(?:remote|url|http|https)\.|^core\.(?:gitproxy|sshcommand)=/i;
+const PUBLISHERS = ['npm', 'yarn', 'pnpm'];
+const DEFAULT_NPM_REGISTRY = 'registry.npmjs.org';
+const DEFAULT_DOCKER_REGISTRY = 'docker.io';
+
+// ssh options that take a value, so `ssh -i key.pem -p 22 host` finds `host`
+const SSH_OPTIONS_WITH_VALUE = ['-b', '-c', '-D', '-E', '-e', '-F', '-I', '-i', '-J', '-L', '-l', '-m', '-O', '-o', '-p', '-Q', '-R', '-S', '-W', '-w'];
+// `-o ProxyCommand=...` and friends connect through something else, as does a config file given with -F
+const SSH_REDIRECTING_OPTION = /^(?:proxycommand|proxyjump|hostname|include|localcommand)\b/i;
+
+/**
+ * Downloader options. `withValue` options take a value that is not contacted (`-o out.txt`),
+ * `target` values are contacted too (`-x proxy:8080`, `--url`), and `unknown` ones send the request
+ * somewhere only a file or script says (`-K curlrc`, `wget -i urls.txt`), so the host is unknown.
+ * The values of unlisted options are read as URLs, which at worst holds a command for no reason.
+ */
+const DOWNLOADER_OPTIONS = {
+    curl: {
+        withValue: ['-o', '--output', '--output-dir', '-d', '--data', '--data-raw', '--data-binary', '--data-urlencode', '--data-ascii', '--json',
+            '-H', '--header', '-u', '--user', '-U', '--proxy-user', '-A', '--user-agent', '-e', '--referer', '-X', '--request', '-T', '--upload-file',
+            '-w', '--write-out', '-b', '--cookie', '-c', '--cookie-jar', '-F', '--form', '--form-string', '-m', '--max-time', '--connect-timeout',
+            '-r', '--range', '-C', '--continue-at', '-E', '--cert', '--key', '--cacert', '--capath', '-D', '--dump-header', '--retry',
+            '--retry-delay', '--retry-max-time', '-Y', '--speed-limit', '-y', '--speed-time', '--limit-rate', '-z', '--time-cond',
+            '--stderr', '--trace', '--trace-ascii', '--oauth2-bearer', '--max-filesize', '--max-redirs', '--interface', '--local-port', '-Q', '--quote'],
+        target: ['--url', '-x', '--proxy', '--preproxy', '--socks4', '--socks4a', '--socks5', '--socks5-hostname'],
+        unknown: ['-K', '--config', '--connect-to', '--resolve', '--doh-url']
+    },
+    wget: {
+        withValue: ['-O', '--output-document', '-o', '--output-file', '-a', '--append-output', '-P', '--directory-prefix', '-U', '--user-agent',
+            '--header', '-t', '--tries', '-T', '--timeout', '-w', '--wait', '--post-data', '--post-file', '--body-data', '--body-file', '--method',
+            '--user', '--password', '--http-user', '--http-password', '-Q', '--quota', '-l', '--level', '-A', '--accept', '-R', '--reject',
+            '-D', '--domains', '--exclude-domains', '--limit-rate', '--load-cookies', '--save-cookies', '--ca-certificate', '--certificate',
+            '--private-key', '--referer'],
+        target: [],
+        unknown: ['-i', '--input-file', '-e', '--execute', '--config', '-B', '--base']
+    },
+    aria2c: {
+        withValue: ['-d', '--dir', '-o', '--out', '-x', '--max-connection-per-server', '-s', '--split', '-j', '--max-concurrent-downloads',
+            '-k', '--min-split-size', '--header', '-U', '--user-agent', '--referer', '--http-user', '--http-passwd', '-m', '--max-tries',
+            '-t', '--timeout', '--checksum', '-l', '--log'],
+        target: ['--all-proxy', '--http-proxy', '--https-proxy', '--ftp-proxy'],
+        unknown: ['-i', '--input-file', '--conf-path', '-T', '--torrent-file', '-M', '--metalink-file']
+    },
+    // HTTPie: `http [METHOD] URL [items]`
+    http: {
+        withValue: ['-a', '--auth', '-A', '--auth-type', '-o', '--output', '--session', '--session-read-only', '--timeout', '-p', '--print',
+            '--verify', '--cert', '--cert-key', '-s', '--style', '--pretty', '--format-options', '--response-charset', '--response-mime',
+            '--max-redirects', '--ssl', '--ciphers', '--boundary', '--raw'],
+        target: ['--proxy'],
+        unknown: []
+    },
+    // Invoke-WebRequest / Invoke-RestMethod parameters, lower-cased
+    powershell: {
+        withValue: ['-outfile', '-infile', '-method', '-custommethod', '-contenttype', '-useragent', '-headers', '-body', '-form', '-timeoutsec',
+            '-sessionvariable', '-websession', '-credential', '-proxycredential', '-maximumredirection', '-maximumretrycount', '-retryintervalsec',
+            '-transferencoding', '-certificate', '-certificatethumbprint', '-authentication', '-token'],
+        target: ['-uri', '-proxy'],
+        unknown: []
+    }
+};
+DOWNLOADER_OPTIONS.https = DOWNLOADER_OPTIONS.http;
+const HTTPIE_METHODS = /^(?:GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)$/;
+
+// Environment that sends a network command's traffic through a proxy, another config file or another program
+const REDIRECTING_ENV = /^(?:(?:http|https|ftp|all|socks|rsync)_proxy|curl_home|wgetrc|git_ssh|git_ssh_command|git_proxy_command|git_config|git_config_global|git_config_parameters|git_config_count|npm_config_registry|npm_config_proxy|npm_config_https_proxy|docker_host|docker_config)$/i;
+const ENV_SETTERS = ['env', 'export', 'set', 'setenv'];
+
+/**
+ * Simple commands (from command-parser) that reach out to the network, with the hosts they talk to.
+ *
+ *   findNetworkAccess(parseCommand('curl https://x.io/a | sh && git push'),
+ *       { origin: { fetch: ['git@github.com:o/r.git'], push: ['git@github.com:o/r.git'] } })
+ *   -> [ { executable: 'curl', hosts: ['x.io'] }, { executable: 'git', hosts: ['github.com'] } ]
+ *
+ * A host that cannot be worked out (a remote that is not configured, `ssh` with no host, `curl -K file`,
+ * a proxy set in the environment) is `null`, so callers can treat it as "not on the allowlist".
+ *
+ * @param {Object[]} commands - parsed simple commands
+ * @param {Object} gitRemotes - remote name -> { fetch: url[], push: url[] } (see readGitRemotes), for `git push origin`
+ * @returns {{ executable: string, hosts: (string|null)[] }[]}
+ */
+function findNetworkAccess(commands, gitRemotes = {}) {
+    // `https_proxy=... curl`, `env ...` and `export ...` anywhere on the line may reroute every command on it
+    const redirected = commands.some(cmd => [...cmd.assignments, ...(ENV_SETTERS.includes(cmd.executable) ? cmd.args : [])]
+        .some(word => REDIRECTING_ENV.test(word.split('=')[0])));
+    const access = [];
+    for (const cmd of commands) {
+        const hosts = hostsFor(cmd, gitRemotes);
+        if (!hosts) continue;
+        if (redirected) hosts.push(null);
+        access.push({ executable: cmd.executable, hosts: hosts.length > 0 ? hosts : [null] });
+    }
+    return access;
+}
+
+/** Hosts a command contacts, [] when it is a network command with no recognizable host, null when it is not one. */
+function hostsFor(cmd, gitRemotes) {
+    const { executable, operands, args } = cmd;
+
+    if (DOWNLOADERS.includes(executable)) return downloaderHosts(executable, args);
+    if (REMOTE_COPY.includes(executable)) {
+        const remotes = operands.map(hostOfRemotePath).filter(Boolean);
+        if (executable === 'rsync') {
+            if (remotes.length === 0) return null; // local copy
+            const shell = readOptions(args, { withValue: ['-e', '--rsh'], target: [], unknown: [] }).options.find(o => o.value !== undefined);
+            if (shell && /(?:^|\s)-[JoF]|proxy/i.test(shell.value)) remotes.push(null);
+            return remotes;
+        }
+        return [...remotes, ...sshRedirects(args)];
+    }
+    if (executable === 'ssh' || executable === 'mosh') {
+        const target = firstPositional(args, SSH_OPTIONS_WITH_VALUE);
+        return [...(target ? [stripUser(stripPort(target)).toLowerCase()] : []), ...sshRedirects(args)];
+    }
+    if (SOCKETS.includes(executable)) {
+        // Every host-looking word, so a proxy (`nc -x proxy:1080 host 443`) counts too
+        return operands.filter(o => !/^\d+$/.test(o)).map(o => stripPort(stripUser(o)).toLowerCase());
+    }
+    if (executable === 'git') {
+        const { sub, rest, config, otherRepo } = splitGitArgs(args);
+        if (!GIT_NETWORK.includes(sub)) return null;
+        if (config.some(setting => GIT_REDIRECTING_CONFIG.test(setting))) return [];
+        const repo = rest.find(a => a.startsWith('--repo='));
+        const remote = repo ? repo.substring('--repo='.length) : (firstPositional(rest, GIT_OPTIONS_WITH_VALUE) || 'origin');
+        const url = hostOfUrl(remote) || hostOfRemotePath(remote);
+        if (url) return [url];
+        // With -C or --git-dir the remote is looked up in some other repository's config
+        const configured = otherRepo ? null : gitRemotes[remote];
+        const urls = configured ? configured[sub === 'push' ? 'push' : 'fetch'] || [] : [];
+        return urls.map(u => hostOfUrl(u) || hostOfRemotePath(u)).filter(Boolean);
+    }
+    if (PUBLISHERS.includes(executable) && operands[0] === 'publish') {
+        const registry = args.find(a => a.startsWith('--registry='));
+        const index = args.indexOf('--registry');
+        const url = registry ? registry.split('=')[1] : (index >= 0 ? args[index + 1] : null);
+        return [url ? hostOfUrl(url) : DEFAULT_NPM_REGISTRY].filter(Boolean);
+    }
+    if ((executable === 'docker' || executable === 'podman') && ['push', 'login'].includes(operands[0])) {
+        return [registryOf(operands[1] || '', operands[0] === 'login')];
+    }
+    return null;
+}
+
+/**
+ * Every host a downloader may contact: each URL operand (read with `new URL`, so `https://a#@b` is `a`),
+ * proxies, and null for options that take the URLs from elsewhere.
+ */
+function downloaderHosts(executable, args) {
+    const powershell = !DOWNLOADER_OPTIONS[executable];
+    const spec = DOWNLOADER_OPTIONS[executable] || DOWNLOADER_OPTIONS.powershell;
+    const { options, positionals } = readOptions(args, spec, powershell);
+    const hosts = [];
+    for (const { name, value } of options) {
+        if (spec.target.includes(name)) hosts.push(hostOfTarget(value));
+        else if (spec.unknown.includes(name)) hosts.push(null);
+    }
+    // HTTPie takes an optional method before the URL and request items (`name=value`, `Header:value`) after it
+    const urls = spec === DOWNLOADER_OPTIONS.http
+        ? positionals.filter((word, i) => !(i === 0 && HTTPIE_METHODS.test(word))).slice(0, 1)
+        : positionals;
+    return [...hosts, ...urls.map(hostOfTarget)];
+}
+
+/**
+ * Split `args` into options and positionals: `--name=value`, `--name value`, `-xvalue`, `-abc` clusters,
+ * and PowerShell's `-Name value` / `-Name:value`. Options in `withValue`, `target` or `unknown` take a value.
+ * @returns {{ options: { name: string, value: (string|undefined) }[], positionals: string[] }}
+ */
+function readOptions(args, spec, powershell = false) {
+    const takesValue = name => spec.withValue.includes(name) || spec.target.includes(name) || spec.unknown.includes(name);
+    const options = [];
+    const positionals = [];
+    let endOfOptions = false;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (endOfOptions || arg === '-' || !arg.startsWith('-')) {
+            positionals.push(arg);
+        } else if (arg === '--') {
+            endOfOptions = true;
+        } else if (powershell || arg.startsWith('--')) {
+            const separator = powershell ? ':' : '=';
+            const index = arg.indexOf(separator);
+            const name = index >= 0 ? arg.substring(0, index) : arg;
+            const key = powershell ? name.toLowerCase() : name;
+            if (index >= 0) options.push({ name: key, value: arg.substring(index + 1) });
+            else options.push({ name: key, value: takesValue(key) ? args[++i] : undefined });
+        } else {
+            for (let j = 1; j < arg.length; j++) {
+                const name = `-${arg[j]}`;
+                if (!takesValue(name)) { options.push({ name, value: undefined }); continue; }
+                options.push({ name, value: j + 1 < arg.length ? arg.substring(j + 1) : args[++i] });
+                break;
+            }
+        }
+    }
+    return { options, positionals };
+}
+
+/** Host of a URL operand or proxy; no scheme is read as https, `:3000/x` (HTTPie) as localhost, null when unparsable. */
+function hostOfTarget(value) {
+    // HTTPie proxies are `http:http://proxy:8080`
+    const text = String(value || '').replace(/^[a-z]+:(?=[a-z][a-z0-9+.-]*:\/\/)/i, '');
+    if (text.startsWith(':')) return 'localhost';
+    // `proxy:8080` would read as a URL with scheme `proxy:`
+    const parsed = parseUrl(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    return parsed && parsed.host ? parsed.host : null;
+}
+
+/** ssh / scp / sftp options that connect through another host (`-J jump`) or only a config file knows (`-F`, `-o ProxyCommand=`). */
+function sshRedirects(args) {
+    const hosts = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const option = /^-[JoF]/.test(arg) ? arg.substring(0, 2) : null;
+        if (!option) continue;
+        const value = arg.length > 2 ? arg.substring(2) : (args[++i] || '');
+        if (option === '-J') hosts.push(...value.split(',').map(jump => stripUser(stripPort(jump)).toLowerCase()));
+        else if (option === '-F' || SSH_REDIRECTING_OPTION.test(value)) hosts.push(null);
+    }
+    return hosts;
+}
+
+/**
+ * `github.com`, `*.github.com` (subdomains only), `10.0.0.*` or `/regex/`.
+ * @returns {(host: string) => boolean}
+ */
+function compileHostPattern(raw) {
+    const pattern = String(raw).trim();
+    const regex = parseRegex(pattern);
+    if (regex) return host => !!host && regex.test(host);
+
+    const lower = pattern.toLowerCase();
+    if (lower.startsWith('*.')) {
+        const suffix = lower.substring(1); // '.github.com'
+        return host => !!host && host.endsWith(suffix);
+    }
+    const glob = new RegExp(`^${lower.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*')}$`);
+    return host => !!host && glob.test(host);
+}
+
+/**
+ * A browser URL pattern: a host pattern (see compileHostPattern) with an optional path prefix,
+ * `*` matching anything in the path. The scheme and port are ignored. `/regex/` tests the whole URL.
+ *
+ *   'docs.python.org', '*.github.com', 'localhost', 'example.com/docs/*', 'https://x.io/api'
+ *
+ * @returns {(url: string) => boolean}
+ */
+function compileUrlPattern(raw) {
+    const pattern = String(raw).trim();
+    const regex = parseRegex(pattern);
+    if (regex) return url => !!url && regex.test(url);
+
+    const rest = pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+    const slash = rest.indexOf('/');
+    const host = compileHostPattern(stripPort(slash >= 0 ? rest.substring(0, slash) : rest));
+    const path = slash >= 0 ? rest.substring(slash) : '';
+    const pathGlob = path && path !== '/'
+        ? new RegExp(`^${path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}`)
+        : null;
+    return url => {
+        const parsed = parseUrl(url);
+        return !!parsed && host(parsed.host) && (!pathGlob || pathGlob.test(parsed.path));
+    };
+}
+
+/** `https://a.b:8080/x?y` -> { host: 'a.b', path: '/x?y' }; a bare `a.b/x` is read as https. */
+function parseUrl(url) {
+    const text = String(url || '').trim();
+    if (!text) return null;
+    try {
+        const parsed = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`);
+        return { host: parsed.hostname.toLowerCase(), path: `${parsed.pathname}${parsed.search}` };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Remote name -> { fetch, push } URLs from `<cwd>/.git/config`, the way git resolves them:
+ * pushes go to `pushurl` when there is one, and `url.<base>.insteadOf` / `pushInsteadOf`
+ * rewrite the URLs. {} when there is no repository.
+ */
+function readGitRemotes(cwd) {
+    if (!cwd) return {};
+    let text;
+    try {
+        text = fs.readFileSync(path.join(cwd, '.git', 'config'), 'utf8');
+    } catch (e) {
+        return {};
+    }
+
+    const found = {};     // name -> { url: [], pushurl: [] }
+    const rewrites = [];  // { base, prefix, push }
+    let section = null;
+    for (const line of text.split(/\r?\n/)) {
+        const header = line.match(/^\s*\[\s*(remote|url)\s+"([^"]+)"\s*\]/i);
+        if (header) { section = { kind: header[1].toLowerCase(), name: header[2] }; continue; }
+        if (/^\s*\[/.test(line)) { section = null; continue; }
+        const entry = section && line.match(/^\s*([A-Za-z]+)\s*=\s*(.+?)\s*$/);
+        if (!entry) continue;
+        const key = entry[1].toLowerCase();
+        const value = entry[2].replace(/^"(.*)"$/, '$1');
+        if (section.kind === 'remote' && (key === 'url' || key === 'pushurl')) {
+            const remote = found[section.name] || (found[section.name] = { url: [], pushurl: [] });
+            remote[key].push(value);
+        } else if (section.kind === 'url' && (key === 'insteadof' || key === 'pushinsteadof')) {
+            rewrites.push({ base: section.name, prefix: value, push: key === 'pushinsteadof' });
+        }
+    }
+
+    // The longest matching prefix wins
+    const rewrite = (url, push) => {
+        const match = rewrites
+            .filter(r => r.push === push && url.startsWith(r.prefix))
+            .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+        return match ? match.base + url.substring(match.prefix.length) : null;
+    };
+    const remotes = {};
+    for (const [name, { url, pushurl }] of Object.entries(found)) {
+        const fetch = url.map(u => rewrite(u, false) || u);
+        const push = pushurl.length > 0
+            ? pushurl.map(u => rewrite(u, false) || u)
+            : url.map(u => rewrite(u, true) || rewrite(u, false) || u);
+        remotes[name] = { fetch, push };
+    }
+    return remotes;
+}
+
+/** `git -C dir -c a=b push origin` -> { sub: 'push', rest: ['origin'], config: ['a=b'], otherRepo: true } */
+function splitGitArgs(args) {
+    const config = [];
+    let otherRepo = false;
+    let i = 0;
+    while (i < args.length && args[i].startsWith('-')) {
+        const arg = args[i];
+        if (arg === '-C' || arg === '--git-dir' || arg.startsWith('--git-dir=')) otherRepo = true;
+        if (arg === '-c') config.push(args[i + 1] || '');
+        else if (arg.startsWith('-c')) config.push(arg.substring(2));
+        else if (arg === '--config-env') config.push((args[i + 1] || '').split('=')[0] + '=');
+        else if (arg.startsWith('--config-env=')) config.push(arg.substring('--config-env='.length).split('=')[0] + '=');
+        i += GIT_GLOBAL_OPTIONS_WITH_VALUE.includes(arg) ? 2 : 1;
+    }
+    return { sub: args[i], rest: args.slice(i + 1), config, otherRepo };
+}
+
+// Only URLs with a scheme; `git@host:path` is hostOfRemotePath's
+function hostOfUrl(text) {
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(String(text || ''))) return null;
+    const parsed = parseUrl(text);
+    return parsed && parsed.host ? parsed.host : null;
+}
+
+// `user@host:path` (scp / git ssh syntax) or `host::module` (rsync daemon)
+function hostOfRemotePath(text) {
+    const value = String(text || '');
+    if (/^[a-z]:[\\/]/i.test(value) || value.startsWith('/') || value.startsWith('.')) return null; // local path
+    const match = value.match(/^(?:[^@/:]+@)?([A-Za-z0-9.-]+|\[[^\]]+\]):/);
+    return match ? match[1].toLowerCase() : null;
+}
+
+function registryOf(image, isLogin) {
+    if (isLogin) return (image || DEFAULT_DOCKER_REGISTRY).toLowerCase();
+    const first = image.split('/')[0];
+    const hasRegistry = image.includes('/') && (first.includes('.') || first.includes(':') || first === 'localhost');
+    return hasRegistry ? stripPort(first).toLowerCase() : DEFAULT_DOCKER_REGISTRY;
+}
+
+function firstPositional(args, optionsWithValue) {
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (optionsWithValue.includes(arg)) { i++; continue; }
+        if (arg.startsWith('-')) continue;
+        return arg;
+    }
+    return null;
+}
+
+function stripPort(host) {
+    return host.startsWith('[') ? host : host.replace(/:\d+$/, '');
+}
+
+function stripUser(host) {
+    return host.includes('@') ? host.substring(host.lastIndexOf('@') + 1) : host;
+}
+
+module.exports = { findNetworkAccess, compileHostPattern, compileUrlPattern, parseUrl, readGitRemotes, GUARD_ACTIONS };
@@ -6,7 +6,6 @@ const TRIAL_START_KEY = 'auto-accept-trial-start';
 const TRIAL_NOTIFIED_KEY = 'auto-accept-trial-notified';
 const TRIAL_DURATION_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
 const LICENSE_API = 'https://auto-accept-backend.onrender.com/api';
-const FREQ_STATE_KEY = 'auto-accept-frequency';
 
 const STRIPE_LINKS = {
     MONTHLY: 'https://buy.stripe.com/7sY00j3eN0Pt9f94549MY0v',
@@ -108,7 +107,7 @@ function isPlanRecurring() {
 function getPollFrequency() {
     if (!_context) return 300;
     if (hasProAccess()) {
-        return _context.globalState.get(FREQ_STATE_KEY, 1000);
+        return vscode.workspace.getConfiguration('autoAccept').get('pollFrequency', 1000);
     }
     return 300;
 }
@@ -218,7 +217,6 @@ async function activatePro() {
             if (isProNow) {
                 _isPro = true;
                 await _context.globalState.update(PRO_STATE_KEY, true);
-                _context.globalState.update(FREQ_STATE_KEY, _context.globalState.get(FREQ_STATE_KEY, 1000));
 
                 if (_callbacks.onProActivated) await _callbacks.onProActivated();
 
@@ -360,7 +358,6 @@ async function cancelSubscription() {
 module.exports = {
     // Constants
     STRIPE_LINKS,
-    FREQ_STATE_KEY,
     PRO_STATE_KEY,
     TRIAL_START_KEY,
 
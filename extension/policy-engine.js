@@ -0,0 +1,640 @@
+const { parseCommand, compileCommandPattern, compileCommandPrefix, parseRegex } = require('./command-parser');
+const { detectSecrets, describeSecrets } = require('./secret-detector');
+const { findNetworkAccess, compileHostPattern, compileUrlPattern, GUARD_ACTIONS } = require('./network-guard');
+
+const ACTIONS = ['allow', 'deny', 'ask'];
+const DEFAULT_ACTION = 'allow';
+const COMMAND_MODES = ['denylist', 'allowlist'];
+const SECRET_ACTIONS = ['deny', 'ask', 'off'];
+const UNLISTED_URL_ACTIONS = ['ask', 'deny'];
+
+// Button categories the pages classify into, and what each may be set to (autoAccept.buttons.*)
+const BUTTON_TYPES = ['edit', 'terminal', 'retry', 'browser', 'mcp', 'confirm'];
+const BUTTON_SETTINGS = ['on', 'ask', 'off'];
+// Before browser / MCP prompts had their own types, they were all 'allow'
+const LEGACY_ACTION_TYPES = { allow: ['browser', 'mcp', 'confirm'] };
+
+// The workspace policy files (see workspace-policy.js); an agent may never rewrite its own rules
+const POLICY_FILE_NAMES = ['.autoaccept.json', '.autoaccept.yaml', '.autoaccept.yml'];
+
+// Out-of-the-box banned-command list: wiping disks and home directories, fork bombs
+const DEFAULT_BANNED_COMMANDS = [
+    'rm -rf /',
+    'rm -rf ~',
+    'rm -rf *',
+    'format c:',
+    'del /f /s /q',
+    'rmdir /s /q',
+    ':(){:|:&};:',  // fork bomb
+    'dd if=',
+    'mkfs.',
+    '> /dev/sda',
+    'chmod -R 777 /'
+];
+
+// Starting point for allowlist mode: tests, builds and read-only git
+const DEFAULT_ALLOWED_COMMANDS = [
+    'npm test',
+    'npm run lint',
+    'npm run build',
+    'yarn test',
+    'pnpm test',
+    'pytest',
+    'cargo build',
+    'cargo test',
+    'go test',
+    'go build',
+    'git status',
+    'git diff',
+    'git log'
+];
+
+// Options that write a file wherever they are pointed (`git log --output=~/.bashrc`)
+const OUTPUT_OPTION = /^--(output|output-file|output-document|log-file)(=|$)/;
+
+/**
+ * Ordered allow / deny / ask rules, evaluated in the extension host.
+ *
+ * A rule:
+ *   {
+ *     id?: string,
+ *     action: 'allow' | 'deny' | 'ask',
+ *     description?: string,
+ *     match: {
+ *       command?:    command pattern | pattern[],  // 'rm -rf /', see compileCommandPattern
+ *       executable?: pattern | pattern[],  // basename without .exe ('rm', 'git')
+ *       args?:       pattern | pattern[],  // every entry must match at least one argument
+ *       flags?:      string | string[],    // every flag must be present, normalized ('-r', '--force')
+ *       cwd?:        glob | glob[],        // working directory ('/repos/prod/**')
+ *       file?:       path glob | glob[],   // file an edit touches, workspace-relative ('infra/**')
+ *       actionType?: string | string[],    // 'edit' | 'terminal' | 'retry' | 'browser' | 'mcp' | 'confirm'
+ *       mcpServer?:  name | name[],         // MCP server of a tool call ('github', 'db-*', '/regex/')
+ *       mcpTool?:    name | name[],         // MCP tool name ('create_issue', 'delete_*')
+ *       ide?:        string | string[]     // 'cursor' | 'antigravity'
+ *     }
+ *   }
+ *
+ * Commands are parsed with command-parser: compound commands are split and wrappers
+ * (sudo, sh -c, eval, xargs, ...) unwrapped, so `executable`, `args` and `flags` must all
+ * hold for one of the resulting simple commands.
+ * Other patterns are case-insensitive substrings, or a `/regex/flags` string (an invalid
+ * regex falls back to a substring, as the banned-command list always did).
+ * Fields inside `match` must all match; alternatives inside one field are OR-ed.
+ * The first matching rule wins, otherwise `defaultAction` applies.
+ *
+ * The legacy banned-command list is turned into deny rules evaluated before the user's rules.
+ * Before anything else, commands that carry a credential or read a credentials file
+ * (see secret-detector) are denied or held ('ask'), whatever the other lists say.
+ *
+ * With the network guard on, commands that reach out (curl, ssh, git push, npm publish, ...)
+ * to a host outside `allowedHosts` are denied or held, right after the banned list.
+ *
+ * Protected paths (`.env*`, `infra/**`) become deny rules on `file`, checked right after the
+ * credentials. With any set, an edit whose file is unknown, or an "Accept all" over several
+ * files, is held ('ask'). Edits larger than the diff limits (lines added / removed, files per
+ * step, deleting a file) are held next; an edit whose size is unknown passes. Edits to the
+ * workspace policy files are always denied, protected paths or not.
+ *
+ * Approvals ("Always allow this" on a blocked-action notification) come after those two and
+ * before everything else: each one allows exactly one action type + command (or label and
+ * file, for actions without a command).
+ *
+ * Browser prompts (actionType 'browser') are checked against the URL lists next: a denied URL is
+ * denied, an allowed one allowed, and with an allowlist set anything else (or a URL the page could
+ * not read) gets `unlistedUrls` ('ask' or 'deny'). With only a denylist, other URLs fall through.
+ *
+ * MCP tool rules (`{ "github": "allow", "github/delete_*": "deny" }`) decide tool calls next,
+ * the most specific entry first: an exact tool, then a tool glob, then a whole server.
+ *
+ * When neither they nor the user's rules match, the per-category button setting applies: a category
+ * set to 'ask' is held, one set to 'off' is denied with rule source 'buttons', which the pages treat
+ * as "leave it alone" rather than blocked.
+ *
+ * In 'allowlist' command mode, a terminal action no rule decided is only allowed when every
+ * simple command in it is on the allowlist (`npm test`, `git status`, ...); anything else is 'ask'.
+ */
+class PolicyEngine {
+    constructor(options = {}) {
+        this.rules = [];
+        this.bannedRules = [];
+        this.approvalRules = [];
+        this.protectedRules = [];
+        this.builtInProtectedRules = POLICY_FILE_NAMES.map((name, index) => compileRule({
+            id: `policy-file-${index + 1}`,
+            action: 'deny',
+            description: `workspace policy file ${name}`,
+            match: { file: name }
+        }, index, 'protectedPaths'));
+        this.mcpRules = [];
+        this.mcpErrors = [];
+        this.diffLimits = { maxLinesAdded: 0, maxLinesRemoved: 0, maxFiles: 0, holdFileDeletions: false };
+        this.allowedCommands = [];
+        this.commandMode = 'denylist';
+        this.secretAction = 'deny';
+        this.networkGuard = 'off';
+        this.allowedHosts = [];
+        this.allowedUrls = [];
+        this.deniedUrls = [];
+        this.unlistedUrls = 'ask';
+        this.buttons = {};
+        for (const type of BUTTON_TYPES) this.buttons[type] = 'on';
+        this.errors = [];
+        this.defaultAction = DEFAULT_ACTION;
+        this.shell = process.platform === 'win32' ? 'powershell' : 'posix';
+        this.configure(options);
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.rules
+     * @param {string[]} options.bannedCommands
+     * @param {string} options.defaultAction
+     * @param {string} options.shell - 'auto' | 'posix' | 'powershell', how command text is tokenized
+     * @param {string} options.commandMode - 'denylist' | 'allowlist'
+     * @param {string[]} options.allowedCommands - allowlist entries, e.g. 'npm test'
+     * @param {Object[]} options.approvals - [{ actionType, label, command, file }] the user always allows
+     * @param {string[]} options.protectedPaths - path globs edits must never be auto-accepted for
+     * @param {Object} options.diffLimits - { maxLinesAdded, maxLinesRemoved, maxFiles, holdFileDeletions }, 0 = no limit
+     * @param {string} options.secretAction - 'deny' | 'ask' | 'off', for commands with credentials in them
+     * @param {string} options.networkGuard - 'off' | 'ask' | 'deny', for network commands to other hosts
+     * @param {string[]} options.allowedHosts - 'github.com', '*.example.com', '/regex/'
+     * @param {Object} options.buttons - button category -> 'on' | 'ask' | 'off'; missing categories are 'on'
+     * @param {Object} options.mcpTools - 'server' or 'server/tool' (globs) -> 'allow' | 'deny' | 'ask'
+     * @param {string[]} options.allowedUrls - browser URLs to approve: 'docs.python.org', '*.github.com', 'example.com/docs/*'
+     * @param {string[]} options.deniedUrls - browser URLs to deny, same forms
+     * @param {string} options.unlistedUrls - 'ask' | 'deny', for other URLs once there is an allowlist
+     */
+    configure({ rules, bannedCommands, defaultAction, shell, commandMode, allowedCommands, approvals, protectedPaths, diffLimits, secretAction, networkGuard, allowedHosts, buttons, mcpTools, allowedUrls, deniedUrls, unlistedUrls } = {}) {
+        if (secretAction !== undefined) this.secretAction = SECRET_ACTIONS.includes(secretAction) ? secretAction : 'deny';
+        if (networkGuard !== undefined) this.networkGuard = GUARD_ACTIONS.includes(networkGuard) ? networkGuard : 'off';
+        if (allowedHosts !== undefined) {
+            this.allowedHosts = (Array.isArray(allowedHosts) ? allowedHosts : [])
+                .map(h => String(h).trim())
+                .filter(Boolean)
+                .map(compileHostPattern);
+        }
+        if (allowedUrls !== undefined) this.allowedUrls = compileUrlList(allowedUrls);
+        if (deniedUrls !== undefined) this.deniedUrls = compileUrlList(deniedUrls);
+        if (unlistedUrls !== undefined) this.unlistedUrls = UNLISTED_URL_ACTIONS.includes(unlistedUrls) ? unlistedUrls : 'ask';
+        if (buttons !== undefined) {
+            for (const type of BUTTON_TYPES) {
+                const setting = buttons && buttons[type];
+                this.buttons[type] = BUTTON_SETTINGS.includes(setting) ? setting : 'on';
+            }
+        }
+        if (commandMode !== undefined) this.commandMode = COMMAND_MODES.includes(commandMode) ? commandMode : 'denylist';
+        if (allowedCommands !== undefined) {
+            this.allowedCommands = (Array.isArray(allowedCommands) ? allowedCommands : [])
+                .map(entry => String(entry).trim())
+                .filter(Boolean)
+                .map(entry => ({ entry, test: compileCommandPrefix(entry) }));
+        }
+        if (shell !== undefined) {
+            this.shell = shell === 'posix' || shell === 'powershell' ? shell : (process.platform === 'win32' ? 'powershell' : 'posix');
+        }
+        if (rules !== undefined) this.setRules(rules);
+        if (mcpTools !== undefined) this.setMcpTools(mcpTools);
+        if (bannedCommands !== undefined) this.setBannedCommands(bannedCommands);
+        if (approvals !== undefined) this.setApprovals(approvals);
+        if (protectedPaths !== undefined) this.setProtectedPaths(protectedPaths);
+        if (diffLimits !== undefined) {
+            const limit = value => (Number.isFinite(Number(value)) && Number(value) > 0 ? Math.floor(Number(value)) : 0);
+            this.diffLimits = {
+                maxLinesAdded: limit(diffLimits.maxLinesAdded),
+                maxLinesRemoved: limit(diffLimits.maxLinesRemoved),
+                maxFiles: limit(diffLimits.maxFiles),
+                holdFileDeletions: !!diffLimits.holdFileDeletions
+            };
+        }
+        if (defaultAction !== undefined) this.defaultAction = ACTIONS.includes(defaultAction) ? defaultAction : DEFAULT_ACTION;
+    }
+
+    /** Invalid rules are dropped and described in `this.errors`. */
+    setRules(rules) {
+        this.rules = [];
+        this.errors = [];
+        (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+            try {
+                this.rules.push(compileRule(rule, index, 'settings'));
+            } catch (e) {
+                this.errors.push(`Rule #${index + 1}${rule && rule.id ? ` (${rule.id})` : ''}: ${e.message}`);
+            }
+        });
+    }
+
+    setBannedCommands(bannedCommands) {
+        this.bannedRules = (Array.isArray(bannedCommands) ? bannedCommands : [])
+            .map(p => String(p).trim())
+            .filter(Boolean)
+            .map((pattern, index) => compileRule({
+                id: `banned-${index + 1}`,
+                action: 'deny',
+                description: pattern,
+                match: { command: pattern }
+            }, index, 'bannedCommands'));
+    }
+
+    setProtectedPaths(protectedPaths) {
+        this.protectedRules = (Array.isArray(protectedPaths) ? protectedPaths : [])
+            .map(p => String(p).trim())
+            .filter(Boolean)
+            .map((glob, index) => compileRule({
+                id: `protected-${index + 1}`,
+                action: 'deny',
+                description: `protected path ${glob}`,
+                match: { file: glob }
+            }, index, 'protectedPaths'));
+    }
+
+    /** Invalid entries are dropped and described in `this.mcpErrors`. */
+    setMcpTools(mcpTools) {
+        const entries = mcpTools && typeof mcpTools === 'object' && !Array.isArray(mcpTools) ? Object.entries(mcpTools) : [];
+        this.mcpErrors = [];
+        this.mcpRules = entries
+            .map(([key, action], index) => {
+                const [server, tool] = String(key).split('/').map(part => part.trim());
+                if (!server || !ACTIONS.includes(action)) {
+                    this.mcpErrors.push(`MCP tool rule "${key}": ${server ? `action must be one of ${ACTIONS.join(', ')}` : 'needs a server name'}`);
+                    return null;
+                }
+                // Exact tool (0), tool glob (1), whole server (2); an exact server beats a glob within each
+                const specificity = (tool ? (tool.includes('*') ? 1 : 0) : 2) * 2 + (server.includes('*') ? 1 : 0);
+                return {
+                    specificity,
+                    index,
+                    rule: compileRule({
+                        id: `mcp-${tool ? `${server}/${tool}` : server}`,
+                        action,
+                        description: `MCP tool rule ${key}`,
+                        match: tool ? { actionType: 'mcp', mcpServer: server, mcpTool: tool } : { actionType: 'mcp', mcpServer: server }
+                    }, index, 'mcpTools')
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.specificity - b.specificity || a.index - b.index)
+            .map(entry => entry.rule);
+    }
+
+    /**
+     * True when no setting could hold or deny anything. The IDEs' native accept commands take
+     * whatever the agent proposes without asking us, so next to a connected page they only run in that case.
+     */
+    allowsEverything() {
+        return this.defaultAction === 'allow' && this.commandMode === 'denylist' &&
+            this.secretAction === 'off' && this.networkGuard === 'off' &&
+            [this.rules, this.bannedRules, this.protectedRules, this.mcpRules, this.allowedUrls, this.deniedUrls].every(list => list.length === 0) &&
+            !Object.values(this.diffLimits).some(Boolean) &&
+            Object.values(this.buttons).every(setting => setting === 'on');
+    }
+
+    /**
+     * Whether the IDEs' native accept commands may run. With no page connected over CDP they are the
+     * only way anything gets accepted, so they run then too, unchecked.
+     */
+    allowsNativeAccept(pageConnected) {
+        return !pageConnected || this.allowsEverything();
+    }
+
+    /** Whether any decision depends on the diff summary next to an edit button, so the pages must read it. */
+    needsDiffStats() {
+        return this.protectedRules.length > 0 || Object.values(this.diffLimits).some(Boolean);
+    }
+
+    setApprovals(approvals) {
+        this.approvalRules = (Array.isArray(approvals) ? approvals : [])
+            .filter(a => a && (a.command || a.label))
+            .map((approval, index) => {
+                const actionTypes = expandActionType(approval.actionType);
+                const command = String(approval.command || '').trim();
+                const label = String(approval.label || '').trim().toLowerCase();
+                const file = normalizeFile(approval.file);
+                const mcpServer = String(approval.mcpServer || '');
+                const mcpTool = String(approval.mcpTool || '');
+                const url = String(approval.url || '');
+                return {
+                    id: `approval-${index + 1}`,
+                    source: 'approvals',
+                    action: 'allow',
+                    description: 'always allowed',
+                    test: ctx => actionTypes.includes(ctx.actionType) && ctx.file === file &&
+                        ctx.mcpServer === mcpServer && ctx.mcpTool === mcpTool && ctx.url === url &&
+                        (command ? ctx.command === command : ctx.label.trim().toLowerCase() === label)
+                };
+            });
+    }
+
+    /**
+     * @param {Object} context - { actionType, label, command, file, diff: { added, removed, files, deletesFile },
+     *   cwd, ide, gitRemotes: { origin: { fetch: [url], push: [url] } }, mcpServer, mcpTool, url }
+     * @returns {{ action: string, reason: string, rule: { id, source }|null }}
+     */
+    evaluate(context = {}) {
+        const ctx = buildContext(context, this.shell);
+        // Protected paths and diff limits come before "Always allow this" approvals, which cannot
+        // override them: an approved label would otherwise let any later edit through
+        const decision = this._checkSecrets(ctx) ||
+            this._checkProtectedPaths(ctx) ||
+            this._checkDiffLimits(ctx) ||
+            firstMatch(this.approvalRules, ctx) ||
+            firstMatch(this.bannedRules, ctx) ||
+            this._checkNetwork(ctx) ||
+            this._checkBrowserUrl(ctx) ||
+            firstMatch(this.mcpRules, ctx) ||
+            firstMatch(this.rules, ctx) ||
+            this._checkButtonType(ctx);
+        if (decision) return decision;
+
+        if (this.commandMode === 'allowlist' && ctx.actionType === 'terminal') {
+            return this._checkAllowlist(ctx);
+        }
+        return { action: this.defaultAction, reason: 'default', rule: null };
+    }
+
+    _checkSecrets(ctx) {
+        if (this.secretAction === 'off' || !ctx.command) return null;
+        const findings = detectSecrets(ctx.command);
+        if (findings.length === 0) return null;
+        return { action: this.secretAction, reason: `possible credential leak: ${describeSecrets(findings)}`, rule: { id: 'secret-detector', source: 'secrets' } };
+    }
+
+    _checkNetwork(ctx) {
+        if (this.networkGuard === 'off' || ctx.commands.length === 0) return null;
+        for (const access of findNetworkAccess(ctx.commands, ctx.gitRemotes)) {
+            const host = access.hosts.find(h => !this.allowedHosts.some(allowed => allowed(h)));
+            if (host !== undefined) {
+                const reason = host ? `${access.executable} to ${host} (host not allowed)` : `${access.executable} to an unknown host`;
+                return { action: this.networkGuard, reason, rule: { id: 'network-guard', source: 'network' } };
+            }
+        }
+        return null;
+    }
+
+    _checkProtectedPaths(ctx) {
+        const policyFile = firstMatch(this.builtInProtectedRules, ctx);
+        if (policyFile || this.protectedRules.length === 0) return policyFile;
+        const hit = firstMatch(this.protectedRules, ctx);
+        if (hit || ctx.actionType !== 'edit') return hit;
+
+        // Fail closed: an edit whose file was not read, or an "Accept all" of which only the
+        // first file was, may well touch a protected path
+        const rule = { id: 'protected-unknown', source: 'protectedPaths' };
+        if (!ctx.file) return { action: 'ask', reason: 'file not found (protected paths are set)', rule };
+        if ((ctx.diff && ctx.diff.files > 1) || /\ball\b/i.test(ctx.label)) {
+            return { action: 'ask', reason: 'applies several files (protected paths are set)', rule };
+        }
+        return null;
+    }
+
+    _checkDiffLimits(ctx) {
+        const diff = ctx.diff;
+        if (!diff) return null;
+        const { maxLinesAdded, maxLinesRemoved, maxFiles, holdFileDeletions } = this.diffLimits;
+        const rule = { id: 'diff-limit', source: 'diffLimits' };
+        const hold = reason => ({ action: 'ask', reason, rule });
+
+        if (holdFileDeletions && diff.deletesFile) return hold('deletes a file');
+        if (maxLinesAdded && diff.added > maxLinesAdded) return hold(`+${diff.added} lines (limit ${maxLinesAdded})`);
+        if (maxLinesRemoved && diff.removed > maxLinesRemoved) return hold(`-${diff.removed} lines (limit ${maxLinesRemoved})`);
+        if (maxFiles && diff.files > maxFiles) return hold(`${diff.files} files (limit ${maxFiles})`);
+        return null;
+    }
+
+    _checkBrowserUrl(ctx) {
+        if (ctx.actionType !== 'browser' || (this.allowedUrls.length === 0 && this.deniedUrls.length === 0)) return null;
+        const rule = { id: 'browser-urls', source: 'browserUrls' };
+        const what = ctx.url || 'unknown URL';
+
+        const denied = this.deniedUrls.find(u => u.test(ctx.url));
+        if (denied) return { action: 'deny', reason: `${what} (denied URL ${denied.entry})`, rule };
+        const allowed = this.allowedUrls.find(u => u.test(ctx.url));
+        if (allowed) return { action: 'allow', reason: `allowed URL ${allowed.entry}`, rule };
+        if (this.allowedUrls.length === 0) return null;
+        return { action: this.unlistedUrls, reason: ctx.url ? `${ctx.url} is not on the URL allowlist` : 'the requested URL could not be read', rule };
+    }
+
+    _checkButtonType(ctx) {
+        const setting = this.buttons[ctx.actionType];
+        if (!setting || setting === 'on') return null;
+        const rule = { id: `buttons-${ctx.actionType}`, source: 'buttons' };
+        return setting === 'ask'
+            ? { action: 'ask', reason: `${ctx.actionType} buttons are set to ask`, rule }
+            : { action: 'deny', reason: `${ctx.actionType} buttons are off`, rule };
+    }
+
+    _checkAllowlist(ctx) {
+        const rule = { id: 'allowlist', source: 'allowedCommands' };
+        if (ctx.commands.length === 0) return { action: 'ask', reason: 'command not found (allowlist mode)', rule };
+
+        // A listed command stops being safe once it writes a file or runs with a changed environment
+        for (const cmd of ctx.commands) {
+            const effect = sideEffect(cmd);
+            if (effect) return { action: 'ask', reason: `${cmd.executable || 'command'} ${effect} (allowlist mode)`, rule };
+        }
+
+        // Every simple command counts: wrappers like sudo or sh -c must be listed themselves
+        const unlisted = ctx.commands.find(cmd => !this.allowedCommands.some(a => a.test(cmd)));
+        if (unlisted) {
+            const name = [unlisted.executable || 'command', unlisted.operands[0]].filter(Boolean).join(' ');
+            return { action: 'ask', reason: `${name} is not on the allowlist`, rule };
+        }
+        return { action: 'allow', reason: 'allowlist', rule };
+    }
+}
+
+/** What a command does beyond its own output: sets variables, redirects into a file, writes via --output */
+function sideEffect(cmd) {
+    if (cmd.assignments.length > 0) return `sets ${cmd.assignments[0].split('=')[0]}`;
+    // `2>&1` only duplicates a descriptor, and /dev/null is harmless
+    const write = cmd.redirects.find(r => r.op.includes('>') && r.target !== '' && r.target !== '/dev/null');
+    if (write) return `writes to ${write.target}`;
+    const output = cmd.args.find(arg => OUTPUT_OPTION.test(arg));
+    if (output) return `writes to ${output.includes('=') ? output.substring(output.indexOf('=') + 1) : 'a file'}`;
+    return null;
+}
+
+function buildContext(context, shell) {
+    const command = String(context.command || '').trim();
+    return {
+        command,
+        commands: command ? parseCommand(command, { shell }) : [],
+        file: normalizeFile(context.file),
+        diff: context.diff && typeof context.diff === 'object' ? {
+            added: Number(context.diff.added) || 0,
+            removed: Number(context.diff.removed) || 0,
+            files: Number(context.diff.files) || 0,
+            deletesFile: !!context.diff.deletesFile
+        } : null,
+        cwd: context.cwd || '',
+        gitRemotes: context.gitRemotes || {},
+        actionType: String(context.actionType || '').toLowerCase(),
+        ide: String(context.ide || '').toLowerCase(),
+        label: context.label || '',
+        mcpServer: String(context.mcpServer || ''),
+        mcpTool: String(context.mcpTool || ''),
+        url: String(context.url || '')
+    };
+}
+
+function compileUrlList(list) {
+    return (Array.isArray(list) ? list : [])
+        .map(u => String(u).trim())
+        .filter(Boolean)
+        .map(entry => ({ entry, test: compileUrlPattern(entry) }));
+}
+
+function expandActionType(type) {
+    const lower = String(type || '').toLowerCase();
+    return LEGACY_ACTION_TYPES[lower] || [lower];
+}
+
+function firstMatch(rules, ctx) {
+    const rule = rules.find(r => r.test(ctx));
+    return rule ? { action: rule.action, reason: rule.description, rule: { id: rule.id, source: rule.source } } : null;
+}
+
+function compileRule(rule, index, source) {
+    if (!rule || typeof rule !== 'object') throw new Error('must be an object');
+    if (!ACTIONS.includes(rule.action)) throw new Error(`action must be one of ${ACTIONS.join(', ')}`);
+
+    const match = rule.match || {};
+    const tests = [];
+
+    if (match.command !== undefined) {
+        const patterns = toList(match.command).map(compileCommandPattern);
+        tests.push(ctx => patterns.some(p => p({ text: ctx.command, commands: ctx.commands })));
+    }
+
+    // executable, args and flags describe one simple command together
+    const commandTests = [];
+    if (match.executable !== undefined) {
+        const patterns = toList(match.executable).map(compileExact);
+        commandTests.push(cmd => patterns.some(p => p(cmd.executable)));
+    }
+    if (match.args !== undefined) {
+        const patterns = compilePatterns(match.args);
+        commandTests.push(cmd => patterns.every(p => cmd.args.some(arg => p(arg))));
+    }
+    if (match.flags !== undefined) {
+        const flags = toList(match.flags).map(String);
+        commandTests.push(cmd => flags.every(f => cmd.flags.has(f)));
+    }
+    if (commandTests.length > 0) {
+        tests.push(ctx => ctx.commands.some(cmd => commandTests.every(t => t(cmd))));
+    }
+
+    if (match.cwd !== undefined) {
+        const globs = toList(match.cwd).map(compileGlob);
+        tests.push(ctx => globs.some(g => g(ctx.cwd)));
+    }
+    if (match.file !== undefined) {
+        const globs = toList(match.file).map(compilePathGlob);
+        tests.push(ctx => ctx.file !== '' && globs.some(g => g(ctx.file)));
+    }
+    if (match.actionType !== undefined) {
+        const types = toList(match.actionType).flatMap(expandActionType);
+        tests.push(ctx => types.includes(ctx.actionType));
+    }
+    if (match.mcpServer !== undefined) {
+        const names = toList(match.mcpServer).map(compileName);
+        tests.push(ctx => ctx.mcpServer !== '' && names.some(n => n(ctx.mcpServer)));
+    }
+    if (match.mcpTool !== undefined) {
+        const names = toList(match.mcpTool).map(compileName);
+        tests.push(ctx => ctx.mcpTool !== '' && names.some(n => n(ctx.mcpTool)));
+    }
+    if (match.ide !== undefined) {
+        const ides = toList(match.ide).map(i => String(i).toLowerCase());
+        tests.push(ctx => ides.includes(ctx.ide));
+    }
+
+    const id = rule.id || `rule-${index + 1}`;
+    return {
+        id,
+        source,
+        action: rule.action,
+        description: rule.description || id,
+        test: ctx => tests.every(t => t(ctx))
+    };
+}
+
+function toList(value) {
+    return (Array.isArray(value) ? value : [value]).filter(v => v !== undefined && v !== null && v !== '');
+}
+
+/** `/regex/flags` or case-insensitive substring. */
+function compilePatterns(value) {
+    return toList(value).map(raw => {
+        const pattern = String(raw);
+        const regex = parseRegex(pattern);
+        if (regex) return text => regex.test(text);
+        const needle = pattern.toLowerCase();
+        return text => String(text).toLowerCase().includes(needle);
+    });
+}
+
+/** `/regex/flags` or case-insensitive exact match. */
+function compileExact(raw) {
+    const pattern = String(raw);
+    const regex = parseRegex(pattern);
+    if (regex) return text => regex.test(text);
+    const expected = pattern.toLowerCase();
+    return text => String(text).toLowerCase() === expected;
+}
+
+/** `/regex/flags` or a case-insensitive name where `*` matches anything (`db-*`, `delete_*`). */
+function compileName(raw) {
+    const pattern = String(raw);
+    const regex = parseRegex(pattern);
+    if (regex) return text => regex.test(text);
+    const glob = new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`, 'i');
+    return text => glob.test(String(text));
+}
+
+/**
+ * `*` matches within one path segment, `**` across segments. Separators are normalized to `/`.
+ * No `/regex/` form here: absolute POSIX paths start with a slash.
+ */
+function compileGlob(raw) {
+    const pattern = String(raw).replace(/\\/g, '/');
+    const source = pattern
+        .split('**')
+        .map(part => part.split('*').map(escapeRegex).join('[^/]*'))
+        .join('.*');
+    const glob = new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+    return text => glob.test(String(text).replace(/\\/g, '/'));
+}
+
+/**
+ * .gitignore-style glob for workspace-relative file paths. A pattern without a slash
+ * (`.env*`, `package-lock.json`) matches that name in any directory; anything else is
+ * anchored at the workspace root (`infra/**`). A leading `**` segment also matches
+ * zero directories, so a `migrations` folder at the root is covered like a nested one.
+ */
+function compilePathGlob(raw) {
+    let pattern = normalizeFile(raw).replace(/^\/+/, '');
+    if (pattern.endsWith('/')) pattern += '**';
+    const anywhere = !pattern.includes('/');
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern.startsWith('**/', i)) { source += '(?:.*/)?'; i += 2; }
+        else if (pattern.startsWith('/**', i) && i + 3 === pattern.length) { source += '(?:/.*)?'; i += 2; }
+        else if (pattern.startsWith('**', i)) { source += '.*'; i += 1; }
+        else if (pattern[i] === '*') source += '[^/]*';
+        else if (pattern[i] === '?') source += '[^/]';
+        else source += escapeRegex(pattern[i]);
+    }
+    const glob = new RegExp(anywhere ? `(?:^|/)${source}(?:/.*)?$` : `^${source}$`, process.platform === 'win32' ? 'i' : '');
+    return file => glob.test(file);
+}
+
+/** Forward slashes and no leading `./`. */
+function normalizeFile(file) {
+    return String(file || '').trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { PolicyEngine, ACTIONS, COMMAND_MODES, SECRET_ACTIONS, BUTTON_TYPES, BUTTON_SETTINGS, DEFAULT_BANNED_COMMANDS, DEFAULT_ALLOWED_COMMANDS, POLICY_FILE_NAMES };
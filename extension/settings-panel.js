@@ -1,5 +1,7 @@
 const vscode = require('vscode');
 const payment = require('./payment-handler');
+const { StatsStore } = require('./stats-store');
+const { DEFAULT_BANNED_COMMANDS, DEFAULT_ALLOWED_COMMANDS } = require('./policy-engine');
 
 class SettingsPanel {
     static currentPanel = undefined;
@@ -57,12 +59,19 @@ class SettingsPanel {
 
         this.panel.onDidDispose(() => this.dispose(), null, this.disposables);
 
+        // Keep the panel in step with settings.json edits
+        vscode.workspace.onDidChangeConfiguration((e) => {
+            if (e.affectsConfiguration('autoAccept.pollFrequency')) this.sendStats();
+            if (['bannedCommands', 'commandMode', 'allowedCommands'].some(key => e.affectsConfiguration(`autoAccept.${key}`))) {
+                this.sendBannedCommands();
+            }
+        }, null, this.disposables);
+
         this.panel.webview.onDidReceiveMessage(
             async (message) => {
                 switch (message.command) {
                     case 'setFrequency':
                         if (payment.hasProAccess()) {
-                            await this.context.globalState.update('auto-accept-frequency', message.value);
                             vscode.commands.executeCommand('auto-accept.updateFrequency', message.value);
                         }
                         break;
@@ -71,13 +80,22 @@ class SettingsPanel {
                         break;
                     case 'updateBannedCommands':
                         if (payment.hasProAccess()) {
-                            await this.context.globalState.update('auto-accept-banned-commands', message.commands);
                             vscode.commands.executeCommand('auto-accept.updateBannedCommands', message.commands);
                         }
                         break;
                     case 'getBannedCommands':
                         this.sendBannedCommands();
                         break;
+                    case 'updateCommandMode':
+                        if (payment.hasProAccess()) {
+                            vscode.commands.executeCommand('auto-accept.updateCommandMode', message.mode);
+                        }
+                        break;
+                    case 'updateAllowedCommands':
+                        if (payment.hasProAccess()) {
+                            vscode.commands.executeCommand('auto-accept.updateAllowedCommands', message.commands);
+                        }
+                        break;
                     case 'upgrade':
                         this.startPolling();
                         break;
@@ -125,14 +143,11 @@ class SettingsPanel {
     }
 
     sendStats() {
-        const stats = this.context.globalState.get('auto-accept-stats', {
-            clicks: 0,
-            sessions: 0,
-            lastSession: null
-        });
+        const store = new StatsStore(this.context);
+        const stats = { ...store.get(), recentDays: store.getRecentDays(7) };
         const proAccess = payment.hasProAccess();
         // If not Pro/trial, force display of 300ms
-        const frequency = proAccess ? this.context.globalState.get('auto-accept-frequency', 1000) : 300;
+        const frequency = proAccess ? vscode.workspace.getConfiguration('autoAccept').get('pollFrequency', 1000) : 300;
 
         this.panel.webview.postMessage({
             command: 'updateStats',
@@ -142,24 +157,16 @@ class SettingsPanel {
         });
     }
 
-    sendBannedCommands() {
-        const defaultBannedCommands = [
-            'rm -rf /',
-            'rm -rf ~',
-            'rm -rf *',
-            'format c:',
-            'del /f /s /q',
-            'rmdir /s /q',
-            ':(){:|:&};:',
-            'dd if=',
-            'mkfs.',
-            '> /dev/sda',
-            'chmod -R 777 /'
-        ];
-        const bannedCommands = this.context.globalState.get('auto-accept-banned-commands', defaultBannedCommands);
+    async sendBannedCommands() {
+        const config = vscode.workspace.getConfiguration('autoAccept');
+        // null when no .autoaccept.json / .yaml is in use
+        const policySource = await vscode.commands.executeCommand('auto-accept.getPolicySource');
         this.panel.webview.postMessage({
             command: 'updateBannedCommands',
-            bannedCommands
+            bannedCommands: config.get('bannedCommands', DEFAULT_BANNED_COMMANDS),
+            commandMode: config.get('commandMode', 'denylist'),
+            allowedCommands: config.get('allowedCommands', DEFAULT_ALLOWED_COMMANDS),
+            policySource: policySource || null
         });
     }
 
@@ -312,6 +319,39 @@ class SettingsPanel {
                 text-transform: uppercase;
                 letter-spacing: 0.5px;
             }
+            .type-grid {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 8px;
+                margin-top: 16px;
+            }
+            .type-grid .impact-card { padding: 12px 8px; }
+            .type-grid .stat-val { font-size: 20px; margin-bottom: 4px; }
+
+            /* Last 7 days */
+            .day-chart {
+                display: flex;
+                align-items: flex-end;
+                gap: 6px;
+                height: 80px;
+                margin-top: 20px;
+            }
+            .day-col {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: flex-end;
+                height: 100%;
+                gap: 4px;
+            }
+            .day-bar {
+                width: 100%;
+                min-height: 2px;
+                background: var(--accent);
+                border-radius: 3px 3px 0 0;
+            }
+            .day-label { font-size: 10px; color: var(--fg-dim); }
 
             /* Inputs and Buttons */
             input[type="range"] {
@@ -336,6 +376,10 @@ class SettingsPanel {
             }
             textarea:focus { border-color: var(--accent); }
 
+            .mode-toggle { display: flex; flex-direction: column; gap: 8px; margin-bottom: 16px; }
+            .mode-toggle label { display: flex; align-items: center; gap: 8px; font-size: 13px; cursor: pointer; }
+            .mode-toggle input { accent-color: var(--accent); }
+
             .btn-primary {
                 background: var(--accent);
                 color: white;
@@ -534,6 +578,40 @@ class SettingsPanel {
                 </div>
                 ` : ''}
 
+                <div class="section" id="impactSection">
+                    <div class="section-label">
+                        <span>&#128202; Impact</span>
+                        <span id="sessionSummary" style="color: var(--fg-dim); text-transform: none; letter-spacing: 0; font-weight: 600;"></span>
+                    </div>
+                    <div class="impact-grid">
+                        <div class="impact-card">
+                            <div class="stat-val" id="statClicks" style="color: var(--green);">0</div>
+                            <div class="stat-label">Interruptions Handled</div>
+                        </div>
+                        <div class="impact-card">
+                            <div class="stat-val" id="statBlocked" style="color: #ef4444;">0</div>
+                            <div class="stat-label">Commands Blocked</div>
+                        </div>
+                        <div class="impact-card">
+                            <div class="stat-val" id="statToday">0</div>
+                            <div class="stat-label">Handled Today</div>
+                        </div>
+                        <div class="impact-card">
+                            <div class="stat-val" id="statSessions">0</div>
+                            <div class="stat-label">Sessions</div>
+                        </div>
+                    </div>
+                    <div class="type-grid">
+                        <div class="impact-card"><div class="stat-val" id="statTypeEdit">0</div><div class="stat-label">File Edits</div></div>
+                        <div class="impact-card"><div class="stat-val" id="statTypeTerminal">0</div><div class="stat-label">Terminal Runs</div></div>
+                        <div class="impact-card"><div class="stat-val" id="statTypeRetry">0</div><div class="stat-label">Retries</div></div>
+                        <div class="impact-card"><div class="stat-val" id="statTypeBrowser">0</div><div class="stat-label">Browser Actions</div></div>
+                        <div class="impact-card"><div class="stat-val" id="statTypeMcp">0</div><div class="stat-label">Tool Calls</div></div>
+                        <div class="impact-card"><div class="stat-val" id="statTypeConfirm">0</div><div class="stat-label">Confirms</div></div>
+                    </div>
+                    <div class="day-chart" id="dayChart"></div>
+                </div>
+
                 <div class="section" id="performanceSection">
                     <div class="section-label">
                         <span>&#9889; Performance Mode</span>
@@ -551,6 +629,11 @@ class SettingsPanel {
 
                 <div class="section">
                     <div class="section-label">&#128737;&#65039; Safety Rules</div>
+                    <div id="policySource" style="font-size: 12px; opacity: 0.7; margin-bottom: 16px; line-height: 1.5;"></div>
+                    <div class="mode-toggle ${!proAccess ? 'locked' : ''}">
+                        <label><input type="radio" name="commandMode" value="denylist" checked> Block listed commands</label>
+                        <label><input type="radio" name="commandMode" value="allowlist"> Only auto-run allowed commands</label>
+                    </div>
                     <div style="font-size: 13px; opacity: 0.6; margin-bottom: 16px; line-height: 1.5;">
                         Patterns that will NEVER be auto-accepted.
                     </div>
@@ -567,6 +650,27 @@ class SettingsPanel {
                         </button>
                     </div>
                     <div id="bannedStatus" style="font-size: 12px; margin-top: 12px; text-align: center; height: 18px;"></div>
+
+                    <div id="allowlistSection" style="display: none; margin-top: 16px;">
+                        <div style="font-size: 13px; opacity: 0.6; margin-bottom: 16px; line-height: 1.5;">
+                            Terminal commands that run without asking. Each line is a command prefix:
+                            <code>npm test</code> also covers <code>npm test -- --watch</code>.
+                            Anything else waits for you.
+                        </div>
+                        <textarea id="allowedCommandsInput"
+                            placeholder="npm test&#10;git status&#10;cargo build"
+                            ${!proAccess ? 'readonly' : ''}></textarea>
+
+                        <div class="${!proAccess ? 'locked' : ''}" style="display: flex; gap: 12px; margin-top: 20px;">
+                            <button id="saveAllowedBtn" class="btn-primary" style="flex: 2;">
+                                Update Allowlist
+                            </button>
+                            <button id="resetAllowedBtn" class="btn-outline" style="flex: 1;">
+                                Reset
+                            </button>
+                        </div>
+                        <div id="allowedStatus" style="font-size: 12px; margin-top: 12px; text-align: center; height: 18px;"></div>
+                    </div>
                 </div>
 
                 ${isPro && payment.isPlanRecurring() ? `
@@ -606,7 +710,10 @@ class SettingsPanel {
                     slider.addEventListener('input', (e) => {
                          const s = (e.target.value/1000).toFixed(1) + 's';
                          valDisplay.innerText = s;
-                         vscode.postMessage({ command: 'setFrequency', value: e.target.value });
+                    });
+                    // Saved to settings once the slider is released
+                    slider.addEventListener('change', (e) => {
+                         vscode.postMessage({ command: 'setFrequency', value: Number(e.target.value) });
                     });
                 }
 
@@ -615,7 +722,7 @@ class SettingsPanel {
                 const resetBannedBtn = document.getElementById('resetBannedBtn');
                 const bannedStatus = document.getElementById('bannedStatus');
 
-                const defaultBannedCommands = ["rm -rf /", "rm -rf ~", "rm -rf *", "format c:", "del /f /s /q", "rmdir /s /q", ":(){:|:&};:", "dd if=", "mkfs.", "> /dev/sda", "chmod -R 777 /"];
+                const defaultBannedCommands = ${JSON.stringify(DEFAULT_BANNED_COMMANDS)};
 
                 if (saveBannedBtn) {
                     saveBannedBtn.addEventListener('click', () => {
@@ -637,6 +744,48 @@ class SettingsPanel {
                     });
                 }
 
+                const allowedInput = document.getElementById('allowedCommandsInput');
+                const saveAllowedBtn = document.getElementById('saveAllowedBtn');
+                const resetAllowedBtn = document.getElementById('resetAllowedBtn');
+                const allowedStatus = document.getElementById('allowedStatus');
+                const allowlistSection = document.getElementById('allowlistSection');
+                const modeInputs = document.querySelectorAll('input[name="commandMode"]');
+
+                const defaultAllowedCommands = ${JSON.stringify(DEFAULT_ALLOWED_COMMANDS)};
+
+                function showCommandMode(mode) {
+                    modeInputs.forEach(input => { input.checked = input.value === mode; });
+                    if (allowlistSection) allowlistSection.style.display = mode === 'allowlist' ? 'block' : 'none';
+                }
+
+                modeInputs.forEach(input => {
+                    input.addEventListener('change', () => {
+                        if (!input.checked) return;
+                        showCommandMode(input.value);
+                        vscode.postMessage({ command: 'updateCommandMode', mode: input.value });
+                    });
+                });
+
+                if (saveAllowedBtn) {
+                    saveAllowedBtn.addEventListener('click', () => {
+                        const lines = allowedInput.value.split('\\n').map(l => l.trim()).filter(l => l.length > 0);
+                        vscode.postMessage({ command: 'updateAllowedCommands', commands: lines });
+                        allowedStatus.innerText = '\\u2713 Allowlist Updated';
+                        allowedStatus.style.color = 'var(--green)';
+                        setTimeout(() => { allowedStatus.innerText = ''; }, 3000);
+                    });
+                }
+
+                if (resetAllowedBtn) {
+                    resetAllowedBtn.addEventListener('click', () => {
+                        allowedInput.value = defaultAllowedCommands.join('\\n');
+                        vscode.postMessage({ command: 'updateAllowedCommands', commands: defaultAllowedCommands });
+                        allowedStatus.innerText = '\\u2713 Defaults Restored';
+                        allowedStatus.style.color = 'var(--accent)';
+                        setTimeout(() => { allowedStatus.innerText = ''; }, 3000);
+                    });
+                }
+
                 const cancelSubBtn = document.getElementById('cancelSubBtn');
                 const cancelStatus = document.getElementById('cancelStatus');
 
@@ -648,6 +797,53 @@ class SettingsPanel {
                     });
                 }
 
+                function setText(id, value) {
+                    const el = document.getElementById(id);
+                    if (el) el.innerText = Number(value || 0).toLocaleString();
+                }
+
+                function renderStats(stats) {
+                    if (!stats) return;
+                    const days = stats.recentDays || [];
+                    setText('statClicks', stats.clicks);
+                    setText('statBlocked', stats.blocked);
+                    setText('statToday', days.length ? days[days.length - 1].clicks : 0);
+                    setText('statSessions', stats.sessions);
+                    setText('statTypeEdit', stats.byType.edit);
+                    setText('statTypeTerminal', stats.byType.terminal);
+                    setText('statTypeRetry', stats.byType.retry);
+                    setText('statTypeBrowser', stats.byType.browser);
+                    setText('statTypeMcp', stats.byType.mcp);
+                    setText('statTypeConfirm', stats.byType.confirm);
+
+                    const summary = document.getElementById('sessionSummary');
+                    if (summary) {
+                        summary.innerText = stats.session && stats.session.startedAt
+                            ? 'This session: ' + stats.session.clicks + ' handled, ' + stats.session.blocked + ' blocked'
+                            : '';
+                    }
+
+                    const chart = document.getElementById('dayChart');
+                    if (chart) {
+                        const max = Math.max(1, ...days.map(d => d.clicks));
+                        chart.innerHTML = '';
+                        for (const d of days) {
+                            const col = document.createElement('div');
+                            col.className = 'day-col';
+                            col.title = d.day + ': ' + d.clicks + ' handled, ' + d.blocked + ' blocked';
+                            const bar = document.createElement('div');
+                            bar.className = 'day-bar';
+                            bar.style.height = Math.round((d.clicks / max) * 60) + 'px';
+                            const label = document.createElement('div');
+                            label.className = 'day-label';
+                            label.innerText = new Date(d.day + 'T00:00:00').toLocaleDateString(undefined, { weekday: 'short' });
+                            col.appendChild(bar);
+                            col.appendChild(label);
+                            chart.appendChild(col);
+                        }
+                    }
+                }
+
                 window.addEventListener('message', e => {
                     const msg = e.data;
                     if (msg.command === 'updateStats') {
@@ -655,14 +851,53 @@ class SettingsPanel {
                             slider.value = msg.frequency;
                             valDisplay.innerText = (msg.frequency/1000).toFixed(1) + 's';
                         }
+                        renderStats(msg.stats);
                     }
                     if (msg.command === 'updateBannedCommands') {
                         if (bannedInput && msg.bannedCommands) {
                             bannedInput.value = msg.bannedCommands.join('\\n');
                         }
+                        if (allowedInput && msg.allowedCommands) {
+                            allowedInput.value = msg.allowedCommands.join('\\n');
+                        }
+                        showCommandMode(msg.commandMode || 'denylist');
+                        showPolicySource(msg.policySource);
                     }
                 });
 
+                // What each field does when the file only tightens; with override: true it replaces yours
+                const FIELD_NOTES = {
+                    enabled: 'Auto Accept off in this workspace',
+                    bannedCommands: 'banned commands (added to the list below)',
+                    protectedPaths: 'protected paths (added to yours)',
+                    allowedCommands: 'allowed commands (narrowing the list below)',
+                    commandMode: 'allowlist mode',
+                    buttons: 'button settings (where stricter than yours)'
+                };
+
+                function showPolicySource(source) {
+                    const el = document.getElementById('policySource');
+                    if (!el) return;
+                    el.textContent = '';
+                    if (!source) {
+                        el.textContent = 'Policy source: your settings. Add .autoaccept.json or .autoaccept.yaml to the workspace root for per-repo rules.';
+                        return;
+                    }
+                    const fields = source.overrides ? source.fields : source.fields.map(f => FIELD_NOTES[f] || f);
+                    const line = document.createElement('div');
+                    line.textContent = 'Policy source: ' + source.name + ' in this workspace, which '
+                        + (source.overrides ? 'replaces your settings here.' : 'can only tighten your settings.')
+                        + (fields.length > 0 ? ' It sets ' + fields.join(', ') + '.' : '');
+                    line.title = source.path;
+                    el.appendChild(line);
+                    for (const error of source.errors) {
+                        const item = document.createElement('div');
+                        item.style.color = '#ef4444';
+                        item.textContent = error;
+                        el.appendChild(item);
+                    }
+                }
+
                 // Initial load
                 refreshStats();
                 vscode.postMessage({ command: 'getBannedCommands' });
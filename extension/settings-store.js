@@ -0,0 +1,82 @@
+const vscode = require('vscode');
+
+const SECTION = 'autoAccept';
+const MIGRATED_KEY = 'auto-accept-settings-migrated';
+
+// Preferences that used to live in globalState, and the setting (under autoAccept.) that replaced each
+const LEGACY_STATE_KEYS = [
+    ['auto-accept-enabled-global', 'enabled'],
+    ['auto-accept-frequency', 'pollFrequency'],
+    ['auto-accept-banned-commands', 'bannedCommands'],
+    ['auto-accept-background-mode', 'backgroundMode']
+];
+
+/**
+ * Reads and writes the `autoAccept.*` settings, so preferences can live in settings.json,
+ * sync with Settings Sync and be overridden per workspace.
+ *
+ * Writes go where the value is currently set: a workspace that overrides a setting keeps
+ * its own value, everything else is written to the user settings.
+ */
+class SettingsStore {
+    /**
+     * @param {vscode.ExtensionContext} context
+     * @param {Function} logger
+     */
+    constructor(context, logger = console.log) {
+        this.context = context;
+        this.logger = logger;
+    }
+
+    get(key, fallback) {
+        return vscode.workspace.getConfiguration(SECTION).get(key, fallback);
+    }
+
+    /** @returns {Promise<boolean>} false when the write failed, e.g. settings.json does not parse */
+    async update(key, value) {
+        const config = vscode.workspace.getConfiguration(SECTION);
+        const inspected = config.inspect(key);
+        const target = inspected && inspected.workspaceValue !== undefined
+            ? vscode.ConfigurationTarget.Workspace
+            : vscode.ConfigurationTarget.Global;
+        try {
+            await config.update(key, value, target);
+            return true;
+        } catch (e) {
+            this.logger(`[Settings] Could not save ${SECTION}.${key}: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Copy the old globalState preferences into the user settings, once. A setting the user
+     * already has a value for wins, and values equal to the default are not written out.
+     * The old keys are left in place so an older version still finds them; a failed write is
+     * retried on the next activation.
+     */
+    async migrate() {
+        if (this.context.globalState.get(MIGRATED_KEY, false)) return;
+
+        const config = vscode.workspace.getConfiguration(SECTION);
+        const migrated = [];
+        let failed = false;
+        for (const [stateKey, key] of LEGACY_STATE_KEYS) {
+            const value = this.context.globalState.get(stateKey);
+            const inspected = config.inspect(key);
+            if (value === undefined || !inspected || inspected.globalValue !== undefined) continue;
+            if (JSON.stringify(value) === JSON.stringify(inspected.defaultValue)) continue;
+            try {
+                await config.update(key, value, vscode.ConfigurationTarget.Global);
+                migrated.push(`${SECTION}.${key}`);
+            } catch (e) {
+                failed = true;
+                this.logger(`[Settings] Could not migrate ${stateKey} to ${SECTION}.${key}: ${e.message}`);
+            }
+        }
+        // Try again next time rather than lose a preference
+        if (!failed) await this.context.globalState.update(MIGRATED_KEY, true);
+        if (migrated.length > 0) this.logger(`[Settings] Moved saved preferences to settings: ${migrated.join(', ')}`);
+    }
+}
+
+module.exports = { SettingsStore };
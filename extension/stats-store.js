@@ -0,0 +1,110 @@
+const STATS_KEY = 'auto-accept-stats';
+const DAILY_RETENTION_DAYS = 30;
+const ACTION_TYPES = ['edit', 'terminal', 'retry', 'browser', 'mcp', 'confirm'];
+
+/**
+ * Lifetime, per-session and per-day counters persisted in globalState under
+ * `auto-accept-stats` (the key the Settings panel reads).
+ *
+ * Shape:
+ *   {
+ *     clicks, blocked, sessions, lastSession,        // lifetime
+ *     byType: { edit, terminal, retry, browser, mcp, confirm },  // lifetime, by action type
+ *     session: { startedAt, clicks, blocked, byType },
+ *     daily: { 'YYYY-MM-DD': { clicks, blocked } }   // last 30 days
+ *   }
+ */
+class StatsStore {
+    constructor(context) {
+        this.context = context;
+    }
+
+    get() {
+        const stored = this.context.globalState.get(STATS_KEY, {});
+        return {
+            clicks: stored.clicks || 0,
+            blocked: stored.blocked || 0,
+            sessions: stored.sessions || 0,
+            lastSession: stored.lastSession || null,
+            byType: emptyByType(stored.byType),
+            session: stored.session
+                ? { ...stored.session, byType: emptyByType(stored.session.byType) }
+                : { startedAt: null, clicks: 0, blocked: 0, byType: emptyByType() },
+            daily: stored.daily || {}
+        };
+    }
+
+    /** Auto Accept was switched on: open a new session. */
+    async startSession() {
+        const stats = this.get();
+        const now = Date.now();
+        stats.sessions++;
+        stats.lastSession = now;
+        stats.session = { startedAt: now, clicks: 0, blocked: 0, byType: emptyByType() };
+        await this.context.globalState.update(STATS_KEY, stats);
+    }
+
+    /** Add a delta from CDPHandler.collectStats(). */
+    async record(delta) {
+        if (!delta || (delta.clicks === 0 && delta.blocked === 0)) return;
+
+        const stats = this.get();
+        const day = dayKey(new Date());
+        const bucket = stats.daily[day] || { clicks: 0, blocked: 0 };
+
+        for (const target of [stats, stats.session, bucket]) {
+            target.clicks += delta.clicks;
+            target.blocked += delta.blocked;
+        }
+        for (const [type, count] of Object.entries(delta.byType || {})) {
+            stats.byType[type] = (stats.byType[type] || 0) + count;
+            stats.session.byType[type] = (stats.session.byType[type] || 0) + count;
+        }
+
+        stats.daily[day] = bucket;
+        stats.daily = pruneDaily(stats.daily);
+        await this.context.globalState.update(STATS_KEY, stats);
+    }
+
+    /** Daily buckets for the last `days` days, oldest first, with empty days filled in. */
+    getRecentDays(days = 7) {
+        const { daily } = this.get();
+        const result = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const key = dayKey(date);
+            result.push({ day: key, ...(daily[key] || { clicks: 0, blocked: 0 }) });
+        }
+        return result;
+    }
+}
+
+function emptyByType(existing = {}) {
+    const byType = {};
+    for (const type of ACTION_TYPES) byType[type] = 0;
+    // Counts from before browser and MCP prompts were told apart stay under 'confirm'
+    const { allow, ...rest } = existing;
+    const merged = { ...byType, ...rest };
+    if (allow) merged.confirm += allow;
+    return merged;
+}
+
+// Local calendar day, so "today" matches the user's clock
+function dayKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function pruneDaily(daily) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - DAILY_RETENTION_DAYS);
+    const cutoffKey = dayKey(cutoff);
+    const kept = {};
+    for (const key of Object.keys(daily)) {
+        if (key > cutoffKey) kept[key] = daily[key];
+    }
+    return kept;
+}
+
+module.exports = { StatsStore, STATS_KEY, ACTION_TYPES };
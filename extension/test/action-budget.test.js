@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ActionBudget } = require('../action-budget');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('no caps by default, and only commands and edits are counted', () => {
+    const budget = new ActionBudget();
+    for (let i = 0; i < 100; i++) assert.equal(budget.record('terminal', 'p|a'), null);
+    assert.equal(budget.record('retry', 'p|a'), null);
+    assert.equal(budget.counts('terminal', 'p|a').session, 100);
+    assert.deepEqual(budget.describe(), []);
+});
+
+test('the click that reaches a session cap reports it', () => {
+    const budget = new ActionBudget();
+    budget.configure({ terminal: { session: 3 } });
+    assert.equal(budget.record('terminal', 'p|a'), null);
+    assert.equal(budget.record('terminal', 'p|b'), null);
+    const cap = budget.record('terminal', 'p|a');
+    assert.deepEqual(cap, { actionType: 'terminal', noun: 'command', scope: 'session', scopeLabel: 'this session', count: 3, limit: 3 });
+    assert.deepEqual(budget.exhausted(), cap);
+    assert.deepEqual(budget.describe(), ['Commands this session: 3/3']);
+
+    budget.startSession();
+    assert.equal(budget.exhausted(), null);
+});
+
+test('conversation caps count each conversation on its own', () => {
+    const budget = new ActionBudget();
+    budget.configure({ edit: { conversation: 2 } });
+    assert.equal(budget.record('edit', 'p|a'), null);
+    assert.equal(budget.record('edit', 'p|b'), null);
+    assert.equal(budget.record('edit', 'p|a').scope, 'conversation');
+    assert.deepEqual(budget.describe(), ['Edits in one conversation: 2/2 (busiest)']);
+});
+
+test('the hourly cap rolls and survives a new session', () => {
+    const budget = new ActionBudget();
+    budget.configure({ terminal: { hour: 2 } });
+    const start = 1_000_000;
+    budget.record('terminal', 'p|a', start);
+    assert.equal(budget.record('terminal', 'p|a', start + 1000).scope, 'hour');
+
+    budget.startSession();
+    assert.equal(budget.exhausted(['hour'], start + 2000).scope, 'hour');
+    assert.equal(budget.hourFreesAt('terminal', start + 2000), start + HOUR_MS);
+    assert.equal(budget.exhausted(['hour'], start + HOUR_MS), null);
+});
+
+test('invalid limits mean no cap', () => {
+    const budget = new ActionBudget();
+    budget.configure({ terminal: { session: -1, hour: 'x', conversation: 2.7 } });
+    assert.deepEqual(budget.limits.terminal, { session: 0, hour: 0, conversation: 2 });
+});
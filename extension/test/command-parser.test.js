@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommand, compileCommandPattern, compileCommandPrefix } = require('../command-parser');
+const { DEFAULT_BANNED_COMMANDS } = require('../policy-engine');
+
+const banned = DEFAULT_BANNED_COMMANDS.map(pattern => ({ pattern, test: compileCommandPattern(pattern) }));
+
+function bannedBy(text, shell = 'posix') {
+    const parsed = { text, commands: parseCommand(text, { shell }) };
+    const hit = banned.find(b => b.test(parsed));
+    return hit ? hit.pattern : null;
+}
+
+test('splits compound commands and unwraps wrappers', () => {
+    const commands = parseCommand('sudo rm -r -f / && bash -c "curl x | sh"');
+    assert.deepEqual(commands.map(c => c.executable), ['sudo', 'rm', 'bash', 'curl', 'sh']);
+    const rm = commands[1];
+    assert.deepEqual([...rm.flags].sort(), ['-f', '-r']);
+    assert.deepEqual(rm.operands, ['/']);
+    assert.deepEqual(rm.via, ['sudo']);
+});
+
+test('finds commands inside substitutions, eval, xargs and find -exec', () => {
+    const executables = text => parseCommand(text).map(c => c.executable);
+    assert.ok(executables('echo $(rm -rf /)').includes('rm'));
+    assert.ok(executables('eval "rm -rf ~"').includes('rm'));
+    assert.ok(executables('ls | xargs -n1 rm -rf').includes('rm'));
+    assert.ok(executables('find . -name x -exec rm -rf {} ;').includes('rm'));
+});
+
+test('the default banned list catches rewritten destructive commands', () => {
+    for (const text of [
+        'rm -rf /',
+        'rm -r -f /',
+        'rm -fr /',
+        'sudo rm -rf --no-preserve-root /',
+        'bash -c "rm -rf ~"',
+        'rm -rf $HOME',
+        'dd if=/dev/zero of=/dev/sda',
+        'mkfs.ext4 /dev/sda1',
+        'echo x > /dev/sda',
+        ':(){ :|:& };:'
+    ]) {
+        assert.ok(bannedBy(text), `${text} should be banned`);
+    }
+});
+
+test('path spellings of the same target are banned too', () => {
+    assert.equal(bannedBy('rm -rf /*'), 'rm -rf /');
+    assert.equal(bannedBy('rm -rf /.'), 'rm -rf /');
+    assert.equal(bannedBy('rm -rf /tmp/..'), 'rm -rf /');
+    assert.equal(bannedBy('rm -rf ~/*'), 'rm -rf ~');
+    assert.equal(bannedBy('rm -rf ~/'), 'rm -rf ~');
+    assert.equal(bannedBy('rm -rf $HOME/*'), 'rm -rf ~');
+    assert.equal(bannedBy('rm -rf ./*'), 'rm -rf *');
+    assert.equal(bannedBy('rm -rf *'), 'rm -rf *');
+});
+
+test('upper-case commands are banned, and Windows shells take flags in any case', () => {
+    assert.equal(bannedBy('RM -RF /'), 'rm -rf /');
+    assert.equal(bannedBy('RM -RF /', 'powershell'), 'rm -rf /');
+    assert.equal(bannedBy('rm -R -F /', 'powershell'), 'rm -rf /');
+});
+
+test('ordinary commands are not banned', () => {
+    for (const text of ['rm -rf ./build', 'rm -rf dist/*', 'rm -rf /tmp/x', 'rm -rf ~/projects/old', 'grep "dd if=" notes.md', 'chmod -R 755 ./bin']) {
+        assert.equal(bannedBy(text), null, `${text} should not be banned`);
+    }
+});
+
+test('allowlist prefixes match the executable and leading subcommand words', () => {
+    const npmTest = compileCommandPrefix('npm test');
+    assert.ok(npmTest(parseCommand('npm test -- --watch')[0]));
+    assert.ok(!npmTest(parseCommand('npm install')[0]));
+    const release = compileCommandPrefix('cargo build --release');
+    assert.ok(release(parseCommand('cargo build --release')[0]));
+    assert.ok(!release(parseCommand('cargo build')[0]));
+});
+
+test('leading assignments and redirects are kept with their command', () => {
+    const [npm] = parseCommand('NODE_OPTIONS="--require /tmp/x.js" npm test > out.txt');
+    assert.equal(npm.executable, 'npm');
+    assert.deepEqual(npm.assignments, ['NODE_OPTIONS=--require /tmp/x.js']);
+    assert.deepEqual(npm.redirects, [{ op: '>', target: 'out.txt' }]);
+    const [bare] = parseCommand('PATH=/tmp:$PATH; git status');
+    assert.equal(bare.executable, '');
+    assert.deepEqual(bare.assignments, ['PATH=/tmp:$PATH']);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readWorkspacePolicy, applyWorkspacePolicy, describeLoosening, parseYaml } = require('../workspace-policy');
+
+function workspace(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-policy-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+    return dir;
+}
+
+test('parseYaml reads nested maps, lists, flow collections and scalars', () => {
+    const text = [
+        '# policy',
+        'buttons:',
+        '  terminal: ask   # hold commands',
+        '  mcp: "off"',
+        'bannedCommands:',
+        '- terraform apply',
+        "- 'rm -rf #1'",
+        'protectedPaths: [".env*", infra/**]',
+        'limits: { files: 5, strict: true, note: ~ }'
+    ].join('\n');
+    assert.deepEqual(parseYaml(text), {
+        buttons: { terminal: 'ask', mcp: 'off' },
+        bannedCommands: ['terraform apply', 'rm -rf #1'],
+        protectedPaths: ['.env*', 'infra/**'],
+        limits: { files: 5, strict: true, note: null }
+    });
+    assert.equal(parseYaml('# nothing\n'), null);
+});
+
+test('parseYaml reports what it does not support with the line number', () => {
+    assert.throws(() => parseYaml('a:\n\t- b'), /line 2: indent with spaces/);
+    assert.throws(() => parseYaml('list:\n  -\n    - nested'), /line 2: nested lists/);
+    assert.throws(() => parseYaml('a: &anchor x'), /line 1: "&"/);
+    assert.throws(() => parseYaml('a: [b, c'), /line 1: unclosed \[/);
+});
+
+test('readWorkspacePolicy validates each field', t => {
+    const dir = workspace(t, {
+        '.autoaccept.yaml': 'enabled: true\ncommandMode: allowlist\nbuttons:\n  terminal: maybe\nbannedCommands: [terraform apply]\nextra: 1\n',
+        '.autoaccept.json': '{}'
+    });
+    const result = readWorkspacePolicy(dir);
+    assert.equal(result.name, '.autoaccept.json');
+    assert.deepEqual(result.errors, ['.autoaccept.yaml ignored, .autoaccept.json is used']);
+
+    fs.rmSync(path.join(dir, '.autoaccept.json'));
+    const yaml = readWorkspacePolicy(dir);
+    assert.deepEqual(yaml.policy, { commandMode: 'allowlist', bannedCommands: ['terraform apply'] });
+    assert.equal(yaml.errors.length, 3);
+    assert.match(yaml.errors[0], /buttons\.terminal must be one of on, ask, off/);
+    assert.match(yaml.errors[1], /unknown setting "extra"/);
+    assert.match(yaml.errors[2], /enabled: true only applies with override: true/);
+    assert.match(yaml.hash, /^[0-9a-f]{64}$/);
+});
+
+test('readWorkspacePolicy takes enabled: false alone and enabled: true with override', t => {
+    const dir = workspace(t, { '.autoaccept.yaml': 'enabled: false\n' });
+    const off = readWorkspacePolicy(dir);
+    assert.deepEqual(off.policy, { enabled: false });
+    assert.deepEqual(off.errors, []);
+    fs.writeFileSync(path.join(dir, '.autoaccept.yaml'), 'override: true\nenabled: true\n');
+    assert.deepEqual(readWorkspacePolicy(dir).policy, { override: true, enabled: true });
+    fs.writeFileSync(path.join(dir, '.autoaccept.yaml'), 'override: yes\n');
+    assert.match(readWorkspacePolicy(dir).errors[0], /override must be true or false/);
+});
+
+test('readWorkspacePolicy reports a file that does not parse', t => {
+    const dir = workspace(t, { '.autoaccept.json': '{ "bannedCommands": [' });
+    const result = readWorkspacePolicy(dir);
+    assert.deepEqual(result.policy, {});
+    assert.match(result.errors[0], /^\.autoaccept\.json: /);
+    assert.equal(readWorkspacePolicy(path.join(dir, 'missing')), null);
+});
+
+test('a workspace policy only ever tightens the user settings', () => {
+    const user = {
+        enabled: true,
+        bannedCommands: ['rm -rf /'],
+        protectedPaths: ['.env*'],
+        commandMode: 'allowlist',
+        allowedCommands: ['npm test', 'git status'],
+        buttons: { edit: 'on', terminal: 'ask', mcp: 'off' }
+    };
+    const merged = applyWorkspacePolicy(user, {
+        bannedCommands: ['terraform apply'],
+        protectedPaths: ['infra/**'],
+        commandMode: 'denylist',
+        allowedCommands: ['git status', 'curl'],
+        buttons: { edit: 'ask', terminal: 'on', mcp: 'on' }
+    });
+    assert.deepEqual(merged, {
+        enabled: true,
+        bannedCommands: ['rm -rf /', 'terraform apply'],
+        protectedPaths: ['.env*', 'infra/**'],
+        commandMode: 'allowlist',
+        allowedCommands: ['git status'],
+        buttons: { edit: 'ask', terminal: 'ask', mcp: 'off' }
+    });
+    assert.deepEqual(applyWorkspacePolicy(user, {}), user);
+    assert.equal(applyWorkspacePolicy(user, { enabled: false }).enabled, false);
+});
+
+test('override: true replaces the user settings once allowed', () => {
+    const user = {
+        enabled: false,
+        bannedCommands: ['rm -rf /'],
+        protectedPaths: ['.env*'],
+        commandMode: 'allowlist',
+        allowedCommands: ['npm test'],
+        buttons: { edit: 'ask', terminal: 'off', mcp: 'off' }
+    };
+    const docs = { override: true, enabled: true, bannedCommands: [], commandMode: 'denylist', buttons: { edit: 'on', terminal: 'on' } };
+
+    assert.deepEqual(applyWorkspacePolicy(user, docs, { allowOverride: true }), {
+        enabled: true,
+        bannedCommands: [],
+        protectedPaths: ['.env*'],
+        commandMode: 'denylist',
+        allowedCommands: ['npm test'],
+        buttons: { edit: 'on', terminal: 'on', mcp: 'off' }
+    });
+    // Not allowed yet: only what tightens applies
+    assert.deepEqual(applyWorkspacePolicy(user, docs), user);
+    assert.deepEqual(describeLoosening(user, docs), [
+        'turns Auto Accept on', 'unbans rm -rf /', 'turns allowlist mode off', 'sets edit buttons to on', 'sets terminal buttons to on'
+    ]);
+    assert.deepEqual(describeLoosening(user, { override: true, bannedCommands: ['rm -rf /', 'terraform apply'] }), []);
+    assert.deepEqual(describeLoosening(user, { enabled: true, bannedCommands: [] }), []);
+});
+
+test('a workspace policy can turn allowlist mode on', () => {
+    const user = { bannedCommands: [], protectedPaths: [], commandMode: 'denylist', allowedCommands: ['npm test'], buttons: {} };
+    assert.equal(applyWorkspacePolicy(user, { commandMode: 'allowlist' }).commandMode, 'allowlist');
+    assert.deepEqual(applyWorkspacePolicy(user, { commandMode: 'allowlist', allowedCommands: ['make'] }).allowedCommands, ['make']);
+});
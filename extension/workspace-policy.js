@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BUTTON_TYPES, BUTTON_SETTINGS, COMMAND_MODES, POLICY_FILE_NAMES } = require('./policy-engine');
+
+const LIST_FIELDS = ['bannedCommands', 'allowedCommands', 'protectedPaths'];
+
+/**
+ * A policy file checked into the repo, so each project carries its own rules:
+ *
+ *   # .autoaccept.yaml
+ *   buttons:
+ *     terminal: ask
+ *     mcp: off
+ *   bannedCommands:
+ *     - terraform apply
+ *   protectedPaths: [".env*", "infra/**"]
+ *
+ * Fields: enabled, buttons (autoAccept.buttons.*), commandMode, bannedCommands, allowedCommands and
+ * protectedPaths. They only tighten the user's settings unless the file says `override: true`,
+ * see applyWorkspacePolicy.
+ *
+ * @param {string} folderPath - workspace root
+ * @returns {{ name: string, path: string, hash: string, policy: Object, errors: string[] }|null}
+ *   null when there is no file; `hash` identifies the file's content
+ */
+function readWorkspacePolicy(folderPath) {
+    if (!folderPath) return null;
+    // Looked for in the workspace root, first one found wins
+    const found = POLICY_FILE_NAMES.filter(name => fs.existsSync(path.join(folderPath, name)));
+    if (found.length === 0) return null;
+
+    const name = found[0];
+    const file = path.join(folderPath, name);
+    const result = { name, path: file, hash: '', policy: {}, errors: [] };
+    if (found.length > 1) result.errors.push(`${found.slice(1).join(', ')} ignored, ${name} is used`);
+
+    let raw;
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        result.hash = crypto.createHash('sha256').update(text).digest('hex');
+        raw = name.endsWith('.json') ? JSON.parse(text) : parseYaml(text);
+    } catch (e) {
+        result.errors.push(`${name}: ${e.message}`);
+        return result;
+    }
+    if (raw === null || raw === undefined) return result; // empty file
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        result.errors.push(`${name}: expected an object of settings`);
+        return result;
+    }
+
+    for (const [key, value] of Object.entries(raw)) {
+        const error = validateField(result.policy, key, value);
+        if (error) result.errors.push(`${name}: ${error}`);
+    }
+    if (result.policy.enabled === true && !result.policy.override) {
+        delete result.policy.enabled;
+        result.errors.push(`${name}: enabled: true only applies with override: true`);
+    }
+    return result;
+}
+
+/** Copies one field into `policy`; returns what is wrong with it, if anything. */
+function validateField(policy, key, value) {
+    if (key === 'enabled' || key === 'override') {
+        if (typeof value !== 'boolean') return `${key} must be true or false`;
+        policy[key] = value;
+    } else if (key === 'commandMode') {
+        if (!COMMAND_MODES.includes(value)) return `commandMode must be one of ${COMMAND_MODES.join(', ')}`;
+        policy.commandMode = value;
+    } else if (key === 'buttons') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'buttons must map button types to on, ask or off';
+        const buttons = {};
+        for (const [type, setting] of Object.entries(value)) {
+            if (!BUTTON_TYPES.includes(type)) return `unknown button type "${type}" (expected ${BUTTON_TYPES.join(', ')})`;
+            if (!BUTTON_SETTINGS.includes(setting)) return `buttons.${type} must be one of ${BUTTON_SETTINGS.join(', ')}`;
+            buttons[type] = setting;
+        }
+        policy.buttons = buttons;
+    } else if (LIST_FIELDS.includes(key)) {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) return `${key} must be a list of strings`;
+        policy[key] = value.map(item => item.trim());
+    } else {
+        return `unknown setting "${key}"`;
+    }
+    return null;
+}
+
+// Least to most strict
+const BUTTON_STRICTNESS = ['on', 'ask', 'off'];
+
+/**
+ * The user's settings with a workspace policy applied. The file ships with the repo, so by default
+ * it may add restrictions but never lift one: `enabled: false` turns Auto Accept off, banned commands
+ * and protected paths are added to the user's, each button takes the stricter setting, and allowlist
+ * mode can be turned on or its list narrowed (only commands on both lists stay), but never widened
+ * or turned off.
+ *
+ * A file with `override: true` replaces the user's value of every field it sets instead, the way
+ * workspace settings replace user settings, but only once the user has allowed it (`allowOverride`).
+ *
+ * @param {Object} settings - { enabled, bannedCommands, protectedPaths, commandMode, allowedCommands, buttons }
+ * @param {Object} policy - `policy` from readWorkspacePolicy, {} without a file
+ * @param {Object} [options]
+ * @param {boolean} [options.allowOverride] - the user agreed to this file's `override: true`
+ * @returns {Object} the same fields, merged
+ */
+function applyWorkspacePolicy(settings, policy = {}, { allowOverride = false } = {}) {
+    if (policy.override && allowOverride) {
+        const merged = { ...settings, buttons: { ...settings.buttons, ...policy.buttons } };
+        for (const key of ['enabled', 'commandMode', ...LIST_FIELDS]) {
+            if (policy[key] !== undefined) merged[key] = policy[key];
+        }
+        return merged;
+    }
+
+    const union = (a, b) => [...new Set([...(a || []), ...(b || [])])];
+
+    const buttons = { ...settings.buttons };
+    for (const [type, setting] of Object.entries(policy.buttons || {})) {
+        if (BUTTON_STRICTNESS.indexOf(setting) > BUTTON_STRICTNESS.indexOf(buttons[type] || 'on')) buttons[type] = setting;
+    }
+
+    const userAllowlist = settings.commandMode === 'allowlist';
+    let allowedCommands = settings.allowedCommands || [];
+    if (policy.allowedCommands) {
+        // Outside allowlist mode the user's list is not in force, so the file's list is the only one
+        allowedCommands = userAllowlist ? allowedCommands.filter(c => policy.allowedCommands.includes(c)) : policy.allowedCommands;
+    }
+
+    return {
+        enabled: policy.enabled === false ? false : settings.enabled,
+        bannedCommands: union(settings.bannedCommands, policy.bannedCommands),
+        protectedPaths: union(settings.protectedPaths, policy.protectedPaths),
+        commandMode: userAllowlist || policy.commandMode === 'allowlist' ? 'allowlist' : 'denylist',
+        allowedCommands,
+        buttons
+    };
+}
+
+/**
+ * What a file's `override: true` would loosen compared with the user's settings, one phrase each
+ * ("turns Auto Accept on", "unbans rm -rf /"), for asking the user first. [] when it loosens nothing.
+ */
+function describeLoosening(settings, policy) {
+    if (!policy.override) return [];
+    const tight = applyWorkspacePolicy(settings, policy);
+    const loose = applyWorkspacePolicy(settings, policy, { allowOverride: true });
+    const missing = (from, to) => (from || []).filter(item => !(to || []).includes(item));
+    const list = items => (items.length > 3 ? `${items.slice(0, 3).join(', ')} and ${items.length - 3} more` : items.join(', '));
+
+    const changes = [];
+    if (loose.enabled && !tight.enabled) changes.push('turns Auto Accept on');
+    const unbanned = missing(tight.bannedCommands, loose.bannedCommands);
+    if (unbanned.length > 0) changes.push(`unbans ${list(unbanned)}`);
+    const unprotected = missing(tight.protectedPaths, loose.protectedPaths);
+    if (unprotected.length > 0) changes.push(`unprotects ${list(unprotected)}`);
+    const allowed = missing(loose.allowedCommands, tight.allowedCommands);
+    if (tight.commandMode === 'allowlist' && loose.commandMode !== 'allowlist') changes.push('turns allowlist mode off');
+    else if (loose.commandMode === 'allowlist' && allowed.length > 0) changes.push(`allows ${list(allowed)}`);
+    for (const [type, setting] of Object.entries(loose.buttons || {})) {
+        const current = tight.buttons[type] || 'on';
+        if (BUTTON_STRICTNESS.indexOf(setting) < BUTTON_STRICTNESS.indexOf(current)) changes.push(`sets ${type} buttons to ${setting}`);
+    }
+    return changes;
+}
+
+/**
+ * The part of YAML a settings file needs: nested `key: value` maps, `- item` lists of scalars,
+ * `[a, b]` and `{ a: b }` on one line, quoted strings and `#` comments. Anchors, multi-line
+ * strings and multiple documents are not supported and fail with the line number.
+ */
+function parseYaml(text) {
+    const lines = [];
+    String(text).split(/\r?\n/).forEach((raw, index) => {
+        const line = stripComment(raw).replace(/\s+$/, '');
+        const trimmed = line.trim();
+        if (!trimmed || (trimmed === '---' && lines.length === 0)) return;
+        if (/^\s*\t/.test(line)) throw new Error(`line ${index + 1}: indent with spaces, not tabs`);
+        lines.push({ indent: line.length - line.trimStart().length, text: trimmed, number: index + 1 });
+    });
+    if (lines.length === 0) return null;
+    if (!isListItem(lines[0].text) && !splitKey(lines[0].text)) return parseScalar(lines[0].text, lines[0]);
+
+    const [value, next] = parseBlock(lines, 0, lines[0].indent);
+    if (next < lines.length) throw lineError(lines[next], 'unexpected indentation');
+    return value;
+}
+
+function parseBlock(lines, start, indent) {
+    return isListItem(lines[start].text) ? parseList(lines, start, indent) : parseMap(lines, start, indent);
+}
+
+function parseMap(lines, start, indent) {
+    const map = {};
+    let i = start;
+    while (i < lines.length && lines[i].indent === indent && !isListItem(lines[i].text)) {
+        const line = lines[i];
+        const entry = splitKey(line.text);
+        if (!entry) throw lineError(line, 'expected "key: value"');
+        i++;
+        if (entry.value) {
+            map[entry.key] = parseScalar(entry.value, line);
+        } else if (i < lines.length && (lines[i].indent > indent || (lines[i].indent === indent && isListItem(lines[i].text)))) {
+            // Nested block; a list may sit at the same indentation as its key
+            [map[entry.key], i] = parseBlock(lines, i, lines[i].indent);
+        } else {
+            map[entry.key] = null;
+        }
+    }
+    return [map, i];
+}
+
+function parseList(lines, start, indent) {
+    const list = [];
+    let i = start;
+    while (i < lines.length && lines[i].indent === indent && isListItem(lines[i].text)) {
+        const item = lines[i].text.substring(1).trim();
+        if (!item) throw lineError(lines[i], 'nested lists are not supported');
+        list.push(parseScalar(item, lines[i]));
+        i++;
+    }
+    return [list, i];
+}
+
+function parseScalar(text, line) {
+    if (text.startsWith('[')) {
+        if (!text.endsWith(']')) throw lineError(line, 'unclosed [');
+        const inner = text.slice(1, -1).trim();
+        return inner ? splitFlow(inner).map(item => parseScalar(item, line)) : [];
+    }
+    if (text.startsWith('{')) {
+        if (!text.endsWith('}')) throw lineError(line, 'unclosed {');
+        const map = {};
+        const inner = text.slice(1, -1).trim();
+        for (const item of inner ? splitFlow(inner) : []) {
+            const entry = splitKey(item);
+            if (!entry) throw lineError(line, `expected "key: value" in { }, got "${item}"`);
+            map[entry.key] = entry.value ? parseScalar(entry.value, line) : null;
+        }
+        return map;
+    }
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw lineError(line, 'bad double-quoted string');
+        }
+    }
+    if (text.startsWith("'")) {
+        if (text.length < 2 || !text.endsWith("'")) throw lineError(line, 'unclosed quote');
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    if (/^(null|~)$/i.test(text)) return null;
+    if (/^[-+]?\d+(\.\d+)?$/.test(text)) return Number(text);
+    if (/^[&*!|>]/.test(text)) throw lineError(line, `"${text[0]}" (anchors, tags, block strings) is not supported; quote the value`);
+    return text;
+}
+
+// `key: value` or `key:`; the key may be quoted
+function splitKey(text) {
+    const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^'"\s:][^:]*?)\s*:(?:\s+(.*))?$/);
+    if (!match) return null;
+    const key = /^["']/.test(match[1]) ? parseScalar(match[1]) : match[1];
+    return { key: String(key), value: (match[2] || '').trim() };
+}
+
+// Split `a, "b, c", [d]` on top-level commas
+function splitFlow(text) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const ch of text) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ']' || ch === '}') {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    if (current.trim()) items.push(current.trim());
+    return items;
+}
+
+// A `#` starts a comment at the start of a line or after whitespace, outside quotes
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.substring(0, i);
+        }
+    }
+    return line;
+}
+
+function isListItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+function lineError(line, message) {
+    return new Error(`line ${line.number}: ${message}`);
+}
+
+module.exports = { readWorkspacePolicy, applyWorkspacePolicy, describeLoosening, parseYaml, POLICY_FILE_NAMES };